@@ -2,11 +2,67 @@ const mongoose = require("mongoose");
 
 const accountSchema = new mongoose.Schema({
   accountId: { type: String, required: true, unique: true },
+  // Operator-facing name and grouping; accountId stays the stable key
+  displayName: String,
+  labels: { type: [String], default: [] },
   status: {
     type: String,
-    enum: ["initialized", "authenticated", "ready", "disconnected"],
+    enum: [
+      "initialized",
+      "authenticated",
+      "ready",
+      "disconnected",
+      "auth_failure",
+      "reconnecting",
+    ],
     default: "initialized",
   },
+  // The linked number as reported by client.info when the client is ready
+  profile: {
+    wid: String,
+    phone: String,
+    pushname: String,
+    platform: String,
+    updatedAt: Date,
+  },
+  // ISO 3166 code used to read national phone numbers, e.g. "IN"
+  defaultCountry: String,
+  // Inbound texts that opt the sender out; empty uses OPT_OUT_KEYWORDS
+  optOutKeywords: { type: [String], default: [] },
+  // Server-side send throttling; unset limits are not enforced
+  sendLimits: {
+    perMinute: Number,
+    perHour: Number,
+    perDay: Number,
+    // Random pause between two sends, on top of any campaign delay
+    minDelaySeconds: Number,
+    maxDelaySeconds: Number,
+    // A break of cooldownSeconds after every cooldownAfter messages
+    cooldownAfter: Number,
+    cooldownSeconds: Number,
+    // Daily caps for the first days after linking, e.g. [20, 40, 80, 150]
+    warmupPerDay: { type: [Number], default: [] },
+  },
+  // When the current number was linked; warm-up days count from here
+  linkedAt: Date,
+  // Last time the client came up; the full history is in AccountEvent
+  lastReadyAt: Date,
+  // Recent connection events, newest last; capped by the supervisor
+  transitions: [
+    {
+      _id: false,
+      event: String,
+      status: String,
+      reason: String,
+      at: Date,
+    },
+  ],
+  // Outcome of the latest getState() probe
+  lastHealthCheck: {
+    at: Date,
+    state: String,
+    error: String,
+  },
   lastActivity: { type: Date, default: Date.now },
   createdAt: { type: Date, default: Date.now },
 });
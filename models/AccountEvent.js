@@ -0,0 +1,18 @@
+const mongoose = require("mongoose");
+
+// One row per connection state change of an account
+const accountEventSchema = new mongoose.Schema({
+  accountId: { type: String, required: true },
+  // What happened, e.g. "ready", "disconnected", "probe_failed"
+  event: { type: String, required: true },
+  // Account status after the event; unset when the status didn't change
+  status: String,
+  reason: String,
+  at: { type: Date, default: Date.now },
+});
+
+accountEventSchema.index({ accountId: 1, at: -1 });
+// Health only looks back a day; a month of history is plenty
+accountEventSchema.index({ at: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model("AccountEvent", accountEventSchema);
@@ -0,0 +1,16 @@
+const mongoose = require("mongoose");
+
+const apiKeySchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  // sha256 of the key; the plain key is only shown once, on creation
+  keyHash: { type: String, required: true, unique: true },
+  prefix: String,
+  scopes: { type: [String], default: [] },
+  // Empty means the key may use every account
+  accountIds: { type: [String], default: [] },
+  lastUsedAt: Date,
+  revokedAt: Date,
+  createdAt: { type: Date, default: Date.now },
+});
+
+module.exports = mongoose.model("ApiKey", apiKeySchema);
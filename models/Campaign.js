@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+
+const campaignSchema = new mongoose.Schema({
+  name: String,
+  accountId: { type: String, required: true },
+  // Accounts sharing the sends; empty means accountId sends everything
+  accounts: { type: [String], default: [] },
+  strategy: {
+    type: String,
+    enum: ["round-robin", "least-loaded", "sticky"],
+    default: "round-robin",
+  },
+  message: String,
+  templateId: { type: mongoose.Schema.Types.ObjectId, ref: "Template" },
+  templateVersion: Number,
+  // Saved contacts the recipients were resolved from, if any
+  audience: {
+    listId: { type: mongoose.Schema.Types.ObjectId, ref: "ContactList" },
+    tags: [String],
+    match: { type: String, enum: ["any", "all"] },
+  },
+  media: {
+    url: String,
+    caption: String,
+  },
+  // Copied from the template's library items when the campaign starts
+  attachments: [
+    {
+      _id: false,
+      url: String,
+      name: String,
+      mimeType: String,
+    },
+  ],
+  country: String,
+  delaySeconds: { type: Number, default: 5 },
+  skipUnregistered: { type: Boolean, default: false },
+  strict: { type: Boolean, default: false },
+  // Retryable send errors are tried again after backoffSeconds, doubling
+  // each time, until maxAttempts sends have been made
+  retry: {
+    maxAttempts: { type: Number, default: 3 },
+    backoffSeconds: { type: Number, default: 30 },
+  },
+  status: {
+    type: String,
+    enum: ["scheduled", "running", "paused", "completed", "cancelled"],
+    default: "running",
+  },
+  total: { type: Number, default: 0 },
+  sent: { type: Number, default: 0 },
+  failed: { type: Number, default: 0 },
+  skipped: { type: Number, default: 0 },
+  // Start time for a "scheduled" campaign and the zone it was entered in
+  scheduledAt: Date,
+  timezone: String,
+  // Jobs outside this daily window (recipient local time) wait for it to open
+  sendWindow: {
+    start: String,
+    end: String,
+    timezone: String,
+  },
+  createdAt: { type: Date, default: Date.now },
+  startedAt: Date,
+  completedAt: Date,
+});
+
+module.exports = mongoose.model("Campaign", campaignSchema);
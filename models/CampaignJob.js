@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+
+const campaignJobSchema = new mongoose.Schema({
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Campaign",
+    required: true,
+  },
+  index: { type: Number, required: true },
+  phone: String,
+  variables: mongoose.Schema.Types.Mixed,
+  message: String,
+  status: {
+    type: String,
+    enum: ["pending", "sending", "sent", "failed", "skipped", "cancelled"],
+    default: "pending",
+  },
+  error: String,
+  // Sends tried so far, counting the one in flight
+  attempts: { type: Number, default: 0 },
+  // Parts already delivered across attempts, attachments first; a retry
+  // sends only what comes after them
+  messageIds: { type: [String], default: [] },
+  // Pool member that sent (or is sending) the job
+  accountId: String,
+  // Set when the send window was closed or a retry is backing off; the job
+  // waits until then
+  notBefore: Date,
+  sentAt: Date,
+});
+
+campaignJobSchema.index({ campaignId: 1, status: 1, index: 1 });
+
+module.exports = mongoose.model("CampaignJob", campaignJobSchema);
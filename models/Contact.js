@@ -0,0 +1,18 @@
+const mongoose = require("mongoose");
+
+const contactSchema = new mongoose.Schema({
+  // E.164 with the "+" (utils/phone's `e164`)
+  phone: { type: String, required: true, unique: true },
+  name: String,
+  // Free-form fields used as template variables (company, city, plan...)
+  attributes: { type: mongoose.Schema.Types.Mixed, default: {} },
+  tags: { type: [String], default: [] },
+  lists: [{ type: mongoose.Schema.Types.ObjectId, ref: "ContactList" }],
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+contactSchema.index({ tags: 1 });
+contactSchema.index({ lists: 1 });
+
+module.exports = mongoose.model("Contact", contactSchema);
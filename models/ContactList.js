@@ -0,0 +1,11 @@
+const mongoose = require("mongoose");
+
+// Membership is stored on Contact.lists
+const contactListSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  description: String,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+module.exports = mongoose.model("ContactList", contactListSchema);
@@ -0,0 +1,16 @@
+const mongoose = require("mongoose");
+
+// A file in uploads/ that templates can attach by id
+const mediaItemSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  filename: { type: String, required: true },
+  url: { type: String, required: true },
+  mimeType: String,
+  size: Number,
+  // sha256 of the contents; uploading the same file again reuses the item
+  checksum: { type: String, required: true, unique: true },
+  uploadedBy: String,
+  createdAt: { type: Date, default: Date.now },
+});
+
+module.exports = mongoose.model("MediaItem", mediaItemSchema);
@@ -3,18 +3,55 @@ const mongoose = require("mongoose");
 const messageSchema = new mongoose.Schema({
   accountId: { type: String, required: true },
   phone: { type: String, required: true },
+  // The final part (text, or the last file with the text as its caption);
+  // receipts are tracked against this one
+  messageId: String,
+  // Every part this send put out, attachments first
+  messageIds: { type: [String], default: undefined },
+  campaignId: { type: mongoose.Schema.Types.ObjectId, ref: "Campaign" },
+  direction: {
+    type: String,
+    enum: ["outbound", "inbound"],
+    default: "outbound",
+  },
   message: String,
   media: {
     url: String,
     caption: String,
   },
+  attachments: [
+    {
+      _id: false,
+      url: String,
+      name: String,
+      mimeType: String,
+    },
+  ],
   status: {
     type: String,
-    enum: ["sent", "failed", "delivered"],
+    enum: [
+      "sent",
+      "failed",
+      "suppressed",
+      "delivered",
+      "read",
+      "played",
+      "received",
+    ],
     default: "sent",
   },
   error: String,
+  sentAt: Date,
+  deliveredAt: Date,
+  readAt: Date,
+  playedAt: Date,
+  failedAt: Date,
   timestamp: { type: Date, default: Date.now },
 });
 
+messageSchema.index({ accountId: 1, timestamp: -1 });
+messageSchema.index({ messageId: 1 });
+messageSchema.index({ accountId: 1, phone: 1, timestamp: -1 });
+messageSchema.index({ accountId: 1, sentAt: -1 });
+
 module.exports = mongoose.model("Message", messageSchema);
@@ -0,0 +1,12 @@
+const mongoose = require("mongoose");
+
+// Cached WhatsApp registration lookups, keyed by E.164 digits
+const numberCheckSchema = new mongoose.Schema({
+  phone: { type: String, required: true, unique: true },
+  registered: { type: Boolean, required: true },
+  waId: String,
+  accountId: String,
+  checkedAt: { type: Date, default: Date.now },
+});
+
+module.exports = mongoose.model("NumberCheck", numberCheckSchema);
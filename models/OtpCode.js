@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+const otpCodeSchema = new mongoose.Schema({
+  phone: { type: String, required: true },
+  // Lets one number hold separate codes, e.g. "login" and "reset-password"
+  purpose: { type: String, default: "default" },
+  accountId: String,
+  // Salted scrypt hash; the code itself is never stored
+  codeHash: { type: String, required: true },
+  // "sending" until the message is out; only "pending" codes can be verified
+  status: {
+    type: String,
+    enum: ["sending", "pending", "verified", "expired", "failed", "superseded"],
+    default: "pending",
+  },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 5 },
+  messageId: String,
+  expiresAt: { type: Date, required: true },
+  verifiedAt: Date,
+  createdBy: String,
+  createdAt: { type: Date, default: Date.now },
+});
+
+otpCodeSchema.index({ phone: 1, purpose: 1, createdAt: -1 });
+// Kept for a day so per-phone rate limits can count them, then dropped
+otpCodeSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model("OtpCode", otpCodeSchema);
@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+
+// A single message queued by /api/send-message with scheduledAt or a send
+// window; the text is rendered when it is scheduled.
+const scheduledMessageSchema = new mongoose.Schema({
+  accountId: { type: String, required: true },
+  phone: { type: String, required: true },
+  message: String,
+  media: {
+    url: String,
+    caption: String,
+  },
+  scheduledAt: { type: Date, required: true },
+  timezone: String,
+  sendWindow: {
+    start: String,
+    end: String,
+    timezone: String,
+  },
+  status: {
+    type: String,
+    enum: ["scheduled", "sending", "sent", "failed", "cancelled"],
+    default: "scheduled",
+  },
+  messageId: String,
+  error: String,
+  createdBy: String,
+  createdAt: { type: Date, default: Date.now },
+  sentAt: Date,
+});
+
+scheduledMessageSchema.index({ status: 1, scheduledAt: 1 });
+
+module.exports = mongoose.model("ScheduledMessage", scheduledMessageSchema);
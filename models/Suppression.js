@@ -0,0 +1,22 @@
+const mongoose = require("mongoose");
+
+// Numbers that must not be messaged. Without accountId the entry applies to
+// every account.
+const suppressionSchema = new mongoose.Schema({
+  phone: { type: String, required: true },
+  accountId: { type: String, default: null },
+  source: {
+    type: String,
+    enum: ["keyword", "manual", "import"],
+    default: "manual",
+  },
+  // The inbound text that triggered a keyword opt-out
+  keyword: String,
+  note: String,
+  createdBy: String,
+  createdAt: { type: Date, default: Date.now },
+});
+
+suppressionSchema.index({ phone: 1, accountId: 1 }, { unique: true });
+
+module.exports = mongoose.model("Suppression", suppressionSchema);
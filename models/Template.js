@@ -1,10 +1,46 @@
 const mongoose = require("mongoose");
 
+const variableSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    sample: { type: String, default: "" },
+  },
+  { _id: false }
+);
+
+// Snapshot of the template as saved; never edited after it is written
+const versionSchema = new mongoose.Schema(
+  {
+    version: { type: Number, required: true },
+    name: String,
+    content: String,
+    category: String,
+    tags: [String],
+    language: String,
+    variables: [variableSchema],
+    attachments: [{ type: mongoose.Schema.Types.ObjectId, ref: "MediaItem" }],
+    savedBy: String,
+    savedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
 const templateSchema = new mongoose.Schema({
   name: { type: String, required: true },
   content: { type: String, required: true },
+  category: String,
+  tags: { type: [String], default: [] },
+  language: String,
+  variables: { type: [variableSchema], default: [] },
+  // Library files sent along with the text, in order
+  attachments: [{ type: mongoose.Schema.Types.ObjectId, ref: "MediaItem" }],
+  version: { type: Number, default: 1 },
+  versions: { type: [versionSchema], default: [] },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
 });
 
+templateSchema.index({ category: 1 });
+templateSchema.index({ tags: 1 });
+
 module.exports = mongoose.model("Template", templateSchema);
@@ -0,0 +1,16 @@
+const mongoose = require("mongoose");
+
+const userSchema = new mongoose.Schema({
+  username: { type: String, required: true, unique: true },
+  // scrypt "salt:hash", both hex
+  passwordHash: { type: String, required: true },
+  role: {
+    type: String,
+    enum: ["admin", "operator", "viewer"],
+    default: "viewer",
+  },
+  lastLoginAt: Date,
+  createdAt: { type: Date, default: Date.now },
+});
+
+module.exports = mongoose.model("User", userSchema);
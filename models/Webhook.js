@@ -0,0 +1,14 @@
+const mongoose = require("mongoose");
+
+const webhookSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  secret: { type: String, required: true },
+  // Empty means every event / every account
+  events: { type: [String], default: [] },
+  accountIds: { type: [String], default: [] },
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+module.exports = mongoose.model("Webhook", webhookSchema);
@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+const webhookDeliverySchema = new mongoose.Schema({
+  webhookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Webhook",
+    required: true,
+  },
+  event: { type: String, required: true },
+  accountId: String,
+  payload: mongoose.Schema.Types.Mixed,
+  status: {
+    type: String,
+    enum: ["pending", "delivered", "failed"],
+    default: "pending",
+  },
+  attempts: { type: Number, default: 0 },
+  responseStatus: Number,
+  error: String,
+  nextAttemptAt: { type: Date, default: Date.now },
+  deliveredAt: Date,
+  createdAt: { type: Date, default: Date.now },
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("WebhookDelivery", webhookDeliverySchema);
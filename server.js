@@ -5,12 +5,42 @@ const FileStore = require("session-file-store")(session);
 const path = require("path");
 const fs = require("fs");
 const multer = require("multer");
-const { Client, LocalAuth, MessageMedia } = require("whatsapp-web.js");
+const {
+  Client,
+  LocalAuth,
+  MessageMedia,
+  MessageAck,
+} = require("whatsapp-web.js");
 const qrcode = require("qrcode");
 const cors = require("cors");
 const bodyParser = require("body-parser");
 const mongoose = require("mongoose");
 const fileUpload = require("express-fileupload");
+const mime = require("mime-types");
+const axios = require("axios");
+const crypto = require("crypto");
+const {
+  normalizePhone,
+  isValidCountry,
+  defaultCountry,
+  isGroupId,
+  toChatId,
+} = require("./utils/phone");
+const { compileTemplate, templateVariables } = require("./utils/template");
+const {
+  SAMPLE_SIZE,
+  readSheet,
+  detectPhoneColumn,
+  mapRecipients,
+} = require("./utils/recipients");
+const {
+  isValidTimeZone,
+  defaultTimeZone,
+  parseScheduledAt,
+  startOfDay,
+  validateSendWindow,
+  nextSendTime,
+} = require("./utils/schedule");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -24,24 +54,23 @@ mongoose.connect(
   }
 );
 
-// Account Schema
-const accountSchema = new mongoose.Schema({
-  accountId: { type: String, required: true, unique: true },
-  status: { type: String, default: "initialized" },
-  lastActivity: { type: Date, default: Date.now },
-  createdAt: { type: Date, default: Date.now },
-});
-
-// Template Schema
-const templateSchema = new mongoose.Schema({
-  name: { type: String, required: true },
-  content: { type: String, required: true },
-  createdAt: { type: Date, default: Date.now },
-  updatedAt: { type: Date, default: Date.now },
-});
-
-const Account = mongoose.model("Account", accountSchema);
-const Template = mongoose.model("Template", templateSchema);
+const Account = require("./models/Account");
+const Template = require("./models/Template");
+const Campaign = require("./models/Campaign");
+const CampaignJob = require("./models/CampaignJob");
+const Message = require("./models/Message");
+const Webhook = require("./models/Webhook");
+const WebhookDelivery = require("./models/WebhookDelivery");
+const ApiKey = require("./models/ApiKey");
+const User = require("./models/User");
+const NumberCheck = require("./models/NumberCheck");
+const MediaItem = require("./models/MediaItem");
+const Contact = require("./models/Contact");
+const ContactList = require("./models/ContactList");
+const Suppression = require("./models/Suppression");
+const ScheduledMessage = require("./models/ScheduledMessage");
+const OtpCode = require("./models/OtpCode");
+const AccountEvent = require("./models/AccountEvent");
 
 /* ---------- Express ---------- */
 app.use(
@@ -53,28 +82,42 @@ app.use(
 app.use(bodyParser.json({ limit: "10mb" }));
 app.use(bodyParser.urlencoded({ extended: true, limit: "10mb" }));
 app.use(fileUpload());
-app.use(express.static("public"));
-app.use("/uploads", express.static("uploads"));
 
 ["./sessions", "./uploads", "./data", "./.wwebjs_auth"].forEach((dir) => {
   if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
 });
 
+if (!process.env.SESSION_SECRET)
+  console.warn(
+    "⚠️  SESSION_SECRET is not set; using a random secret, logins will not survive a restart"
+  );
+
 app.use(
   session({
     store: new FileStore({ path: "./sessions" }),
-    secret: process.env.SESSION_SECRET || "jitender@123",
+    secret:
+      process.env.SESSION_SECRET || crypto.randomBytes(32).toString("hex"),
     resave: false,
-    saveUninitialized: true,
-    cookie: { secure: false },
+    saveUninitialized: false,
+    cookie: { secure: false, httpOnly: true, sameSite: "lax" },
   })
 );
 
+// The dashboard needs a logged-in user; login.html and its assets are public
+app.use((req, res, next) => {
+  if ((req.path === "/" || req.path === "/index.html") && !req.session.userId)
+    return res.redirect("/login.html");
+  next();
+});
+app.use(express.static("public"));
+app.use("/uploads", express.static("uploads"));
+
 /* ---------- WhatsApp ---------- */
 const whatsappClients = {};
 const sseClients = {};
 
 function broadcast(accountId, type, data) {
+  queueWebhooks(accountId, type, data);
   if (!sseClients[accountId]) return;
   sseClients[accountId].forEach((c) => {
     try {
@@ -87,6 +130,32 @@ function broadcast(accountId, type, data) {
   });
 }
 
+// The number behind a ready client, from client.info
+function linkedProfile(client) {
+  const info = client.info || {};
+  return {
+    wid: info.wid?._serialized,
+    phone: info.wid?.user,
+    pushname: info.pushname,
+    platform: info.platform,
+    updatedAt: new Date(),
+  };
+}
+
+async function recordLinkedProfile(accountId, client) {
+  const profile = linkedProfile(client);
+  const account = await Account.findOne({ accountId });
+  const update = { profile };
+  // First ready after linking a number starts its warm-up, and so does a
+  // different number linked to the same account
+  if (
+    !account?.linkedAt ||
+    (account.profile?.wid && account.profile.wid !== profile.wid)
+  )
+    update.linkedAt = new Date();
+  await Account.updateOne({ accountId }, update);
+}
+
 function initializeWhatsAppClient(accountId) {
   if (whatsappClients[accountId]) {
     if (whatsappClients[accountId].isReady) {
@@ -122,350 +191,5017 @@ function initializeWhatsAppClient(accountId) {
   client.accountId = accountId;
   whatsappClients[accountId] = client;
 
-  client.on("qr", async (qr) => {
-    const qrImage = await qrcode.toDataURL(qr);
-    broadcast(accountId, "qr", { qr: qrImage });
+  client.on("qr", (qr) => {
+    qrcode
+      .toDataURL(qr)
+      .then((qrImage) => broadcast(accountId, "qr", { qr: qrImage }))
+      .catch((err) =>
+        console.error(`Failed to render QR code for ${accountId}:`, err)
+      );
   });
 
-  client.on("authenticated", async () => {
+  // Handlers can't return promises to the emitter, so database failures are
+  // logged here instead of ending the process
+  const logTransitionError = (err) =>
+    console.error(`Failed to record transition for ${accountId}:`, err);
+
+  client.on("authenticated", () => {
     broadcast(accountId, "authenticated", {
       message: "Authenticated, please wait...",
     });
-    await Account.findOneAndUpdate(
-      { accountId },
-      { status: "authenticated", lastActivity: new Date() },
-      { upsert: true }
-    );
+    recordTransition(accountId, "authenticated", {
+      status: "authenticated",
+    }).catch(logTransitionError);
   });
 
-  client.on("ready", async () => {
+  client.on("ready", () => {
     client.isReady = true;
+    cancelReconnect(accountId, true);
     broadcast(accountId, "ready", { message: "✅ Connected and ready" });
-    await Account.findOneAndUpdate(
-      { accountId },
-      { status: "ready", lastActivity: new Date() },
-      { upsert: true }
+    recordTransition(accountId, "ready", { status: "ready" }).catch(
+      logTransitionError
+    );
+    recordLinkedProfile(accountId, client).catch((err) =>
+      console.error(`Failed to store profile for ${accountId}:`, err)
     );
   });
 
-  client.on("disconnected", async (reason) => {
+  client.on("disconnected", (reason) => {
     client.isReady = false;
     broadcast(accountId, "disconnected", { reason });
-    await Account.findOneAndUpdate(
-      { accountId },
-      { status: "disconnected", lastActivity: new Date() }
+    // Unlinked from the phone: the session is gone and only a new QR scan
+    // brings the account back
+    if (reason === "LOGOUT") stopClient(accountId);
+    else restartClient(accountId, `Disconnected: ${reason}`);
+    recordTransition(accountId, "disconnected", {
+      status: "disconnected",
+      reason,
+    }).catch(logTransitionError);
+  });
+
+  client.on("message", (msg) => {
+    recordInboundMessage(accountId, msg).catch((err) =>
+      console.error(`Failed to store inbound message for ${accountId}:`, err)
     );
-    delete whatsappClients[accountId];
   });
 
-  client.on("auth_failure", async (msg) => {
-    broadcast(accountId, "auth_failure", { msg });
-    await Account.findOneAndUpdate(
-      { accountId },
-      { status: "auth_failure", lastActivity: new Date() }
+  client.on("message_ack", (msg, ack) => {
+    recordMessageAck(accountId, msg, ack).catch((err) =>
+      console.error(`Failed to record ack for ${accountId}:`, err)
     );
   });
 
-  client.initialize().catch((err) => {
-    console.error(`Failed to initialize ${accountId}:`, err);
-    broadcast(accountId, "error", { message: err.message });
+  client.on("auth_failure", (msg) => {
+    broadcast(accountId, "auth_failure", { msg });
+    recordTransition(accountId, "auth_failure", {
+      status: "auth_failure",
+      reason: msg,
+    }).catch(logTransitionError);
   });
 
+  recordTransition(accountId, "initializing").catch(logTransitionError);
+  client
+    .initialize()
+    .then(() => {
+      // A browser that goes away without us closing it has crashed
+      client.pupBrowser?.on("disconnected", () => {
+        if (!client.stopping)
+          restartClient(accountId, "Browser closed unexpectedly");
+      });
+    })
+    .catch((err) => {
+      console.error(`Failed to initialize ${accountId}:`, err);
+      broadcast(accountId, "error", { message: err.message });
+      if (!client.stopping)
+        restartClient(accountId, `Failed to start: ${err.message}`);
+    });
+
   return client;
 }
 
-/* ---------- Routes ---------- */
-app.get("/api/health", (_req, res) =>
-  res.json({ success: true, message: "Server is running" })
-);
+/* ---------- Session supervisor ---------- */
+const RECONNECT_BASE_DELAY_MS = 5000;
+const RECONNECT_MAX_DELAY_MS = 5 * 60 * 1000;
+const HEALTH_PROBE_MS = 60 * 1000;
+const HEALTH_PROBE_TIMEOUT_MS = 15 * 1000;
+const HEALTH_MAX_FAILURES = 3;
+const MAX_TRANSITIONS = 50;
+const reconnects = {};
+let healthProbeBusy = false;
 
-app.get("/api/accounts", async (_req, res) => {
-  try {
-    const accounts = await Account.find().sort({ createdAt: -1 });
-    res.json({ success: true, accounts });
-  } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
-  }
-});
+function sessionDir(accountId) {
+  return path.join(__dirname, ".wwebjs_auth", `session-${accountId}`);
+}
 
-app.post("/api/accounts", async (req, res) => {
-  const { accountId } = req.body;
-  if (!accountId)
-    return res
-      .status(400)
-      .json({ success: false, error: "Account ID required" });
-  if (/\s/.test(accountId))
-    return res.status(400).json({ success: false, error: "No spaces allowed" });
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
 
-  try {
-    if (await Account.findOne({ accountId }))
-      return res
-        .status(400)
-        .json({ success: false, error: "Account already exists" });
+// Logs a connection event and, when given, moves the account to a new status.
+// The account keeps its last MAX_TRANSITIONS events too.
+async function recordTransition(accountId, event, { status, reason } = {}) {
+  const at = new Date();
+  await AccountEvent.create({ accountId, event, status, reason, at });
+  const update = {
+    lastActivity: at,
+    $push: {
+      transitions: {
+        $each: [{ event, status, reason, at }],
+        $slice: -MAX_TRANSITIONS,
+      },
+    },
+  };
+  if (status) update.status = status;
+  if (status === "ready") update.lastReadyAt = at;
+  await Account.updateOne({ accountId }, update);
+}
 
-    await new Account({ accountId }).save();
-    initializeWhatsAppClient(accountId);
-    res.json({ success: true, message: `Account ${accountId} initialized` });
+function cancelReconnect(accountId, reset) {
+  const state = reconnects[accountId];
+  if (!state) return;
+  clearTimeout(state.timer);
+  state.timer = null;
+  if (reset) delete reconnects[accountId];
+}
+
+// Tears a client down on purpose; the supervisor won't bring it back
+async function stopClient(accountId) {
+  cancelReconnect(accountId, true);
+  const client = whatsappClients[accountId];
+  if (!client) return;
+  client.stopping = true;
+  client.isReady = false;
+  delete whatsappClients[accountId];
+  try {
+    await client.destroy();
   } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
+    // A crashed browser can't be closed cleanly; nothing left to release
+    console.error(`Failed to destroy client ${accountId}:`, err.message);
   }
-});
+}
 
-app.post("/api/accounts/activate", (req, res) => {
-  const { accountId } = req.body;
-  if (!accountId)
-    return res
-      .status(400)
-      .json({ success: false, error: "Account ID required" });
-  initializeWhatsAppClient(accountId);
-  res.json({ success: true, message: `Account ${accountId} activated` });
-});
+// Starts the client again after a delay that doubles with every failed
+// attempt. A successful "ready" resets the count.
+function scheduleReconnect(accountId, reason) {
+  const state = reconnects[accountId] || { attempts: 0, timer: null };
+  reconnects[accountId] = state;
+  if (state.timer) return;
 
-app.post("/api/accounts/logout", async (req, res) => {
-  const { accountId } = req.body;
-  if (!accountId)
-    return res
-      .status(400)
-      .json({ success: false, error: "Account ID required" });
+  const delay = Math.min(
+    RECONNECT_BASE_DELAY_MS * 2 ** state.attempts,
+    RECONNECT_MAX_DELAY_MS
+  );
+  state.attempts += 1;
+  broadcast(accountId, "reconnecting", {
+    reason,
+    attempt: state.attempts,
+    delaySeconds: delay / 1000,
+  });
+  recordTransition(accountId, "reconnect_scheduled", {
+    status: "reconnecting",
+    reason: `${reason} (attempt ${state.attempts} in ${delay / 1000}s)`,
+  }).catch((err) =>
+    console.error(`Failed to record transition for ${accountId}:`, err)
+  );
+  state.timer = setTimeout(() => {
+    state.timer = null;
+    initializeWhatsAppClient(accountId);
+  }, delay);
+}
 
-  if (whatsappClients[accountId]) {
-    try {
-      await whatsappClients[accountId].destroy();
-      delete whatsappClients[accountId];
-      const authDir = path.join(
-        __dirname,
-        ".wwebjs_auth",
-        `session-${accountId}`
-      );
-      if (fs.existsSync(authDir))
-        fs.rmSync(authDir, { recursive: true, force: true });
-      await Account.findOneAndUpdate(
+async function restartClient(accountId, reason) {
+  const attempts = reconnects[accountId]?.attempts || 0;
+  await stopClient(accountId);
+  reconnects[accountId] = { attempts, timer: null };
+  scheduleReconnect(accountId, reason);
+}
+
+// Ready clients must answer getState() with CONNECTED; one that hangs or
+// reports anything else HEALTH_MAX_FAILURES times in a row is restarted.
+async function probeClients() {
+  if (healthProbeBusy) return;
+  healthProbeBusy = true;
+  try {
+    for (const [accountId, client] of Object.entries(whatsappClients)) {
+      if (!client.isReady) continue;
+      let state = null;
+      let error;
+      try {
+        state = await withTimeout(
+          client.getState(),
+          HEALTH_PROBE_TIMEOUT_MS,
+          "getState() timed out"
+        );
+      } catch (err) {
+        error = err.message;
+      }
+      await Account.updateOne(
         { accountId },
-        { status: "disconnected", lastActivity: new Date() }
+        { lastHealthCheck: { at: new Date(), state, error } }
       );
-      res.json({ success: true, message: `Account ${accountId} logged out` });
-    } catch (err) {
-      res.status(500).json({ success: false, error: err.message });
+      if (state === "CONNECTED") {
+        client.probeFailures = 0;
+        continue;
+      }
+
+      client.probeFailures = (client.probeFailures || 0) + 1;
+      await recordTransition(accountId, "probe_failed", {
+        reason: error || `State ${state}`,
+      });
+      if (client.probeFailures >= HEALTH_MAX_FAILURES)
+        await restartClient(accountId, "Health probe failed");
     }
-  } else {
-    res.json({ success: true, message: `No active session for ${accountId}` });
+  } catch (err) {
+    console.error("Health probe error:", err);
+  } finally {
+    healthProbeBusy = false;
   }
-});
-
-// Refresh QR code
-app.post("/api/accounts/:accountId/refresh", (req, res) => {
-  const { accountId } = req.params;
+}
 
-  if (!whatsappClients[accountId]) {
-    return res
-      .status(400)
-      .json({ success: false, error: "Client not initialized" });
+// Brings back every account that still has a saved LocalAuth session, so a
+// restart doesn't need anyone to open the dashboard
+async function restoreSessions() {
+  try {
+    for (const { accountId } of await Account.find({}, "accountId"))
+      if (fs.existsSync(sessionDir(accountId)))
+        initializeWhatsAppClient(accountId);
+  } catch (err) {
+    console.error("Failed to restore sessions:", err);
   }
+}
 
-  // Force a fresh authentication by resetting the client
-  if (whatsappClients[accountId]) {
-    whatsappClients[accountId]
-      .destroy()
-      .then(() => {
-        delete whatsappClients[accountId];
-        initializeWhatsAppClient(accountId);
-        res.json({ success: true, message: "QR refresh initiated" });
-      })
-      .catch((err) => {
-        res.status(500).json({ success: false, error: err.message });
-      });
+const HEALTH_WINDOW_MS = 24 * 60 * 60 * 1000;
+const HEALTH_RECENT_EVENTS = 20;
+
+// Share of the time since `since` the account spent ready, read from its
+// event log. Older events expire, so with none left before `since` the
+// status is taken to be what it is now when nothing changed since then.
+async function accountUptime(accountId, since, status) {
+  const changes = { accountId, status: { $ne: null } };
+  const [before, events] = await Promise.all([
+    AccountEvent.findOne({ ...changes, at: { $lt: since } }).sort({ at: -1 }),
+    AccountEvent.find({ ...changes, at: { $gte: since } }).sort({ at: 1 }),
+  ]);
+  let ready = before
+    ? before.status === "ready"
+    : events.length === 0 && status === "ready";
+  let from = since.getTime();
+  let readyMs = 0;
+  for (const event of events) {
+    if (ready) readyMs += event.at.getTime() - from;
+    ready = event.status === "ready";
+    from = event.at.getTime();
   }
-});
+  if (ready) readyMs += Date.now() - from;
+  return readyMs / (Date.now() - since.getTime());
+}
 
-// SSE endpoint for account events
-app.get("/api/accounts/:accountId/events", (req, res) => {
-  const { accountId } = req.params;
+async function accountHealth(account) {
+  const { accountId } = account;
+  const today = startOfDay();
+  const outbound = { accountId, direction: "outbound" };
+  const [sentToday, failedToday, uptime, events] = await Promise.all([
+    Message.countDocuments({ ...outbound, sentAt: { $gte: today } }),
+    Message.countDocuments({
+      ...outbound,
+      status: "failed",
+      failedAt: { $gte: today },
+    }),
+    accountUptime(
+      accountId,
+      new Date(Date.now() - HEALTH_WINDOW_MS),
+      account.status
+    ),
+    AccountEvent.find({ accountId })
+      .sort({ at: -1 })
+      .limit(HEALTH_RECENT_EVENTS),
+  ]);
+  const reconnect = reconnects[accountId];
+  return {
+    accountId,
+    status: account.status,
+    connected: Boolean(whatsappClients[accountId]?.isReady),
+    lastReadyAt: account.lastReadyAt,
+    lastActivity: account.lastActivity,
+    lastHealthCheck: account.lastHealthCheck,
+    reconnect: reconnect
+      ? { attempts: reconnect.attempts, pending: Boolean(reconnect.timer) }
+      : null,
+    // Percentage of the last 24 hours
+    uptime: Math.round(uptime * 1000) / 10,
+    today,
+    sentToday,
+    failedToday,
+    events,
+  };
+}
 
-  res.setHeader("Content-Type", "text/event-stream");
-  res.setHeader("Cache-Control", "no-cache");
-  res.setHeader("Connection", "keep-alive");
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.flushHeaders();
+/* ---------- Sending ---------- */
+// National numbers are read in the request's country, else the account's
+// default country, else DEFAULT_COUNTRY.
+async function resolveCountry(country, accountId) {
+  if (country) return country.toUpperCase();
+  const account = await Account.findOne({ accountId }).select("defaultCountry");
+  return account?.defaultCountry || defaultCountry();
+}
 
-  const clientId = Date.now();
-  if (!sseClients[accountId]) {
-    sseClients[accountId] = [];
+function loadMedia(file) {
+  const mediaPath = path.join(__dirname, file.url);
+  if (!fs.existsSync(mediaPath)) throw new Error("Media file not found");
+  const mediaData = MessageMedia.fromFilePath(mediaPath);
+  if (file.name) mediaData.filename = file.name;
+  return mediaData;
+}
+
+// Attachments go out first, in order; the text rides on the last file as its
+// caption so the recipient sees it under the final item. The id of every part
+// that goes out is appended to `delivered`, and parts already listed there
+// from an earlier attempt are not sent again.
+async function deliverMessage(
+  client,
+  chatId,
+  message,
+  media,
+  attachments = [],
+  delivered = []
+) {
+  const files = [...attachments, ...(media?.url ? [media] : [])];
+  let response;
+  if (files.length === 0) {
+    response = await client.sendMessage(chatId, message);
+  } else {
+    const loaded = files.map(loadMedia);
+    for (const mediaData of loaded.slice(delivered.length, -1)) {
+      const part = await client.sendMessage(chatId, mediaData);
+      delivered.push(part?.id?._serialized);
+    }
+    const last = files[files.length - 1];
+    response = await client.sendMessage(chatId, loaded[loaded.length - 1], {
+      caption: message || last.caption || "",
+    });
   }
+  delivered.push(response?.id?._serialized);
+  return response;
+}
 
-  sseClients[accountId].push({ id: clientId, res });
+const SEND_EVENTS = {
+  failed: "message_failed",
+  suppressed: "message_suppressed",
+};
 
-  // Send initial connected event
-  res.write(`event: connected\n`);
-  res.write(`data: ${JSON.stringify({ message: "Connected to SSE" })}\n\n`);
+// Sends through the given client and stores the outcome as a Message
+// document, whether it went out or not. `phone` must already be normalized
+// (E.164 digits, see utils/phone.js). `delivered` carries the ids of parts
+// that went out on earlier attempts (see deliverMessage) and gains the new
+// ones, even when the send fails partway. `storedMessage`, when given, is
+// kept and broadcast in place of the text actually sent.
+async function sendWhatsAppMessage(
+  client,
+  {
+    phone,
+    message,
+    storedMessage = message,
+    media,
+    attachments,
+    campaignId,
+    delivered = [],
+  }
+) {
+  const chatId = toChatId(phone);
+  // An opted-out recipient gets nothing, so it takes no slot either
+  const suppressed = await isSuppressed(client.accountId, phone);
+  if (!suppressed) await claimSend(client.accountId);
 
-  // Initialize the client if not already done
-  initializeWhatsAppClient(accountId);
+  const record = new Message({
+    accountId: client.accountId,
+    phone,
+    message: storedMessage,
+    media,
+    attachments,
+    campaignId,
+  });
+  const alreadyDelivered = delivered.length;
 
-  req.on("close", () => {
-    console.log(`Client ${clientId} disconnected from SSE`);
-    sseClients[accountId] = sseClients[accountId].filter(
-      (client) => client.id !== clientId
+  try {
+    if (suppressed) {
+      const err = new Error("Recipient has opted out");
+      err.code = "SUPPRESSED";
+      throw err;
+    }
+    const response = await deliverMessage(
+      client,
+      chatId,
+      message,
+      media,
+      attachments,
+      delivered
     );
-  });
-});
+    record.messageId = response?.id?._serialized;
+    record.sentAt = new Date();
+    return response;
+  } catch (err) {
+    if (err.code === "SUPPRESSED") {
+      record.status = "suppressed";
+    } else {
+      record.status = "failed";
+      record.failedAt = new Date();
+    }
+    record.error = err.message;
+    throw err;
+  } finally {
+    record.messageIds = delivered.slice(alreadyDelivered);
+    await record
+      .save()
+      .catch((err) => console.error("Failed to store message:", err));
+    if (!suppressed) releaseSend(client.accountId);
+    if (record.messageId)
+      await replayEarlyAcks(record.messageId).catch((err) =>
+        console.error("Failed to apply early acks:", err)
+      );
+    broadcast(client.accountId, SEND_EVENTS[record.status] || "message_sent", {
+      messageId: record.messageId,
+      phone: record.phone,
+      message: record.message,
+      media: record.media,
+      campaignId: record.campaignId,
+      error: record.error,
+    });
+  }
+}
 
-// Send message
-app.post("/api/send-message", async (req, res) => {
-  let { phone, message, media, accountId } = req.body;
+const ACK_STATUSES = {
+  [MessageAck.ACK_ERROR]: "failed",
+  [MessageAck.ACK_SERVER]: "sent",
+  [MessageAck.ACK_DEVICE]: "delivered",
+  [MessageAck.ACK_READ]: "read",
+  [MessageAck.ACK_PLAYED]: "played",
+};
+const RECEIPT_ORDER = ["sent", "delivered", "read", "played"];
+// The Message record is only saved once sendMessage resolves, and acks can
+// beat it there; they wait here until the record exists or they go stale
+const ACK_BUFFER_MS = 60 * 1000;
+const earlyAcks = new Map();
 
-  if (!accountId) accountId = "default"; // or enforce passing it explicitly
+function holdEarlyAck(accountId, msg, ack) {
+  const now = Date.now();
+  for (const [id, held] of earlyAcks)
+    if (now - held.at > ACK_BUFFER_MS) earlyAcks.delete(id);
+  const messageId = msg.id._serialized;
+  const held = earlyAcks.get(messageId) || { at: now, acks: [] };
+  held.acks.push({ accountId, msg, ack });
+  earlyAcks.set(messageId, held);
+}
+
+async function replayEarlyAcks(messageId) {
+  const held = earlyAcks.get(messageId);
+  if (!held) return;
+  earlyAcks.delete(messageId);
+  for (const { accountId, msg, ack } of held.acks)
+    await recordMessageAck(accountId, msg, ack);
+}
 
-  console.log("Send message request:", { phone, message, media, accountId });
+// Acks can arrive out of order, so a stored message only ever moves forward
+// along RECEIPT_ORDER. Each transition gets its own timestamp.
+async function recordMessageAck(accountId, msg, ack) {
+  const status = ACK_STATUSES[ack];
+  const messageId = msg?.id?._serialized;
+  if (!status || !messageId) return;
 
-  if (!phone) {
-    return res
-      .status(400)
-      .json({ success: false, error: "Phone number is required" });
+  const earlier =
+    status === "failed"
+      ? ["sent"]
+      : RECEIPT_ORDER.slice(0, RECEIPT_ORDER.indexOf(status));
+  if (earlier.length === 0) return;
+
+  const update = { status, [`${status}At`]: new Date() };
+  if (status === "failed") update.error = "Message could not be delivered";
+
+  const record = await Message.findOneAndUpdate(
+    { messageId, status: { $in: earlier } },
+    update,
+    { new: true }
+  );
+  if (!record) {
+    if (await Message.exists({ messageId })) return;
+    holdEarlyAck(accountId, msg, ack);
+    // The record may have been saved while we were looking
+    if (await Message.exists({ messageId })) await replayEarlyAcks(messageId);
+    return;
   }
 
-  if (!message && !media?.url) {
-    return res
-      .status(400)
-      .json({ success: false, error: "Message or media is required" });
+  broadcast(accountId, "message_ack", {
+    messageId,
+    phone: record.phone,
+    status,
+    campaignId: record.campaignId,
+    at: update[`${status}At`],
+  });
+}
+
+// Receipt counts for a campaign. A message that was read was also delivered,
+// so each count includes the messages that went further.
+async function campaignReceipts(campaignId) {
+  const rows = await Message.aggregate([
+    { $match: { campaignId: new mongoose.Types.ObjectId(campaignId) } },
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ]);
+  const counts = Object.fromEntries(rows.map((r) => [r._id, r.count]));
+  const receipts = { failed: counts.failed || 0 };
+  let reached = 0;
+  for (const status of [...RECEIPT_ORDER].reverse()) {
+    reached += counts[status] || 0;
+    receipts[status] = reached;
   }
+  return receipts;
+}
 
-  const client = whatsappClients[accountId];
+async function saveIncomingMedia(msg) {
+  const media = await msg.downloadMedia();
+  if (!media) return undefined;
+  const ext = mime.extension(media.mimetype) || "bin";
+  const filename = `${Date.now()}-inbound.${ext}`;
+  await fs.promises.writeFile(
+    path.join(__dirname, "uploads", filename),
+    Buffer.from(media.data, "base64")
+  );
+  return { url: `/uploads/${filename}`, caption: msg.body };
+}
 
-  // ✅ Must check readiness
-  if (!client || !client.isReady) {
-    return res.status(400).json({
-      success: false,
-      error: `Client for ${accountId} not initialized or not ready. Please scan the QR code first.`,
+// Store a message a contact sent us so replies to bulk runs end up in the
+// inbox. Status updates and group chats are not conversations.
+async function recordInboundMessage(accountId, msg) {
+  if (msg.fromMe || !msg.from.endsWith("@c.us")) return;
+
+  let media;
+  if (msg.hasMedia) {
+    media = await saveIncomingMedia(msg).catch((err) => {
+      console.error("Failed to download inbound media:", err);
+      return undefined;
     });
   }
 
-  try {
-    let formattedPhone = String(phone).replace(/\D/g, "");
-    if (!formattedPhone.startsWith("91")) {
-      formattedPhone = "91" + formattedPhone;
-    }
-    formattedPhone += "@c.us";
+  const record = await Message.create({
+    accountId,
+    phone: msg.from.replace(/@c\.us$/, ""),
+    messageId: msg.id?._serialized,
+    direction: "inbound",
+    status: "received",
+    message: msg.body,
+    media,
+    timestamp: msg.timestamp ? new Date(msg.timestamp * 1000) : new Date(),
+  });
 
-    let response;
-    if (media?.url) {
-      const mediaPath = path.join(__dirname, media.url);
-      if (!fs.existsSync(mediaPath)) {
-        return res
-          .status(400)
-          .json({ success: false, error: "Media file not found" });
-      }
-      const mediaData = MessageMedia.fromFilePath(mediaPath);
-      response = await client.sendMessage(formattedPhone, mediaData, {
-        caption: message || media.caption || "",
-      });
-    } else {
-      response = await client.sendMessage(formattedPhone, message);
-    }
+  broadcast(accountId, "inbound_message", {
+    phone: record.phone,
+    message: record.message,
+    media: record.media,
+    timestamp: record.timestamp,
+  });
 
-    res.json({ success: true, message: "Message sent", response });
-  } catch (err) {
-    console.error("Error sending message:", err);
-    res.status(500).json({ success: false, error: err.message });
-  }
-});
+  await handleOptOut(accountId, record.phone, msg.body);
+}
 
-// File upload
-app.post("/api/upload", (req, res) => {
-  if (!req.files || !req.files.file) {
-    return res.status(400).json({ success: false, error: "No file uploaded" });
-  }
+/* ---------- Send limits ---------- */
+const LIMIT_PERIODS = {
+  perMinute: 60 * 1000,
+  perHour: 60 * 60 * 1000,
+  perDay: 24 * 60 * 60 * 1000,
+};
+// An account without sendLimits of its own is not limited at all
+const DEFAULT_SEND_LIMITS = {};
 
-  const file = req.files.file;
-  const uploadDir = path.join(__dirname, "uploads");
+// Pacing between sends lives in memory; the per-period counts come from the
+// message log so they survive restarts. `inFlight` counts sends that hold a
+// slot but have no sentAt stored yet, and `lock` chains the check-and-claim
+// of each send so two of them can't both take the last slot.
+const sendPacing = {};
 
-  if (!fs.existsSync(uploadDir)) {
-    fs.mkdirSync(uploadDir, { recursive: true });
-  }
+function pacing(accountId) {
+  if (!sendPacing[accountId])
+    sendPacing[accountId] = {
+      nextAt: 0,
+      streak: 0,
+      inFlight: 0,
+      lock: Promise.resolve(),
+    };
+  return sendPacing[accountId];
+}
 
-  const filename = `${Date.now()}-${file.name}`;
-  const filepath = path.join(uploadDir, filename);
+// During warm-up the day's cap comes from the profile, never above perDay
+function dailyCap(limits, linkedAt) {
+  const profile = limits.warmupPerDay || [];
+  const day = linkedAt
+    ? Math.floor((Date.now() - linkedAt) / LIMIT_PERIODS.perDay)
+    : profile.length;
+  if (day >= profile.length) return limits.perDay;
+  return limits.perDay ? Math.min(limits.perDay, profile[day]) : profile[day];
+}
 
-  file.mv(filepath, (err) => {
-    if (err) {
-      console.error("Error uploading file:", err);
-      return res
-        .status(500)
-        .json({ success: false, error: "Failed to upload file" });
-    }
+// How long (ms) the account has to wait before its next send, 0 if it may
+// send now, along with the limits that were applied.
+async function checkSendLimits(accountId) {
+  // Read before the counts: a send stored meanwhile is counted twice, which
+  // errs on the safe side, rather than not at all
+  const { inFlight, nextAt } = pacing(accountId);
+  const account = await Account.findOne({ accountId });
+  const limits = account?.sendLimits || DEFAULT_SEND_LIMITS;
+  const now = Date.now();
+  let wait = Math.max(nextAt - now, 0);
 
-    res.json({
-      success: true,
-      url: `/uploads/${filename}`,
-      originalName: file.name,
-    });
+  const caps = {
+    perMinute: limits.perMinute,
+    perHour: limits.perHour,
+    perDay: dailyCap(limits, account?.linkedAt),
+  };
+  for (const [period, cap] of Object.entries(caps)) {
+    if (!cap) continue;
+    const filter = {
+      accountId,
+      direction: "outbound",
+      sentAt: { $gte: new Date(now - LIMIT_PERIODS[period]) },
+    };
+    const stored = await Message.countDocuments(filter);
+    if (stored + inFlight < cap) continue;
+    // Room opens up when the oldest send that still counts ages out; sends
+    // still in flight only age out a full period from now
+    const oldest =
+      inFlight < cap
+        ? await Message.findOne(filter)
+            .sort({ sentAt: 1 })
+            .skip(stored + inFlight - cap)
+        : null;
+    const freeAt = oldest ? oldest.sentAt.getTime() : now;
+    wait = Math.max(wait, freeAt - now + LIMIT_PERIODS[period]);
+  }
+  return { wait, limits };
+}
+
+// Checks the limits and takes a slot in one step, throwing RATE_LIMITED
+// when there is none. The caller gives the slot back with releaseSend once
+// the outcome is stored.
+function claimSend(accountId) {
+  const state = pacing(accountId);
+  const claim = state.lock.then(async () => {
+    const { wait, limits } = await checkSendLimits(accountId);
+    if (wait > 0) throw rateLimitError(accountId, wait);
+    reserveSend(accountId, limits);
   });
-});
+  state.lock = claim.catch(() => {});
+  return claim;
+}
 
-// Get message templates
-app.get("/api/templates", async (req, res) => {
-  try {
-    const templates = await Template.find().sort({ createdAt: -1 });
-    res.json({ success: true, templates });
-  } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
-  }
-});
+function releaseSend(accountId) {
+  pacing(accountId).inFlight -= 1;
+}
 
-app.post("/api/templates", async (req, res) => {
-  const { name, content } = req.body;
-  if (!name || !content)
-    return res
-      .status(400)
-      .json({ success: false, error: "Name and content required" });
+// Takes the slot: the following send waits a random delay, or a longer
+// break every cooldownAfter messages.
+function reserveSend(accountId, limits) {
+  const state = pacing(accountId);
+  state.inFlight += 1;
+  const min = limits.minDelaySeconds || 0;
+  const max = Math.max(limits.maxDelaySeconds || 0, min);
+  let gap = (min + Math.random() * (max - min)) * 1000;
 
-  try {
-    const newTemplate = new Template({ name, content });
-    await newTemplate.save();
-    res.json({ success: true, template: newTemplate });
-  } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
+  state.streak += 1;
+  if (limits.cooldownAfter && state.streak >= limits.cooldownAfter) {
+    state.streak = 0;
+    gap = Math.max(gap, (limits.cooldownSeconds || 0) * 1000);
   }
-});
+  state.nextAt = Date.now() + gap;
+}
 
-app.put("/api/templates/:id", async (req, res) => {
-  const { id } = req.params;
-  const { name, content } = req.body;
-  if (!name || !content)
-    return res
-      .status(400)
-      .json({ success: false, error: "Name and content required" });
+function rateLimitError(accountId, wait) {
+  const seconds = Math.ceil(wait / 1000);
+  const err = new Error(
+    `Send limit reached for ${accountId}, retry in ${seconds}s`
+  );
+  err.code = "RATE_LIMITED";
+  err.retryAfter = seconds;
+  return err;
+}
 
-  try {
-    const updated = await Template.findByIdAndUpdate(
-      id,
-      { name, content, updatedAt: new Date() },
-      { new: true }
-    );
-    if (!updated)
-      return res
-        .status(404)
-        .json({ success: false, error: "Template not found" });
-    res.json({ success: true, template: updated });
-  } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
-  }
-});
+const SEND_LIMIT_FIELDS = [
+  "perMinute",
+  "perHour",
+  "perDay",
+  "minDelaySeconds",
+  "maxDelaySeconds",
+  "cooldownAfter",
+  "cooldownSeconds",
+];
 
-app.delete("/api/templates/:id", async (req, res) => {
-  try {
-    const deleted = await Template.findByIdAndDelete(req.params.id);
-    if (!deleted)
-      return res
-        .status(404)
-        .json({ success: false, error: "Template not found" });
-    res.json({ success: true, message: "Template deleted" });
-  } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
+// Validates a partial sendLimits object into dotted update paths so unset
+// fields keep their stored value; null clears a limit. Answers 400 and
+// returns null on bad input.
+function parseSendLimits(res, value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    res
+      .status(400)
+      .json({ success: false, error: "sendLimits must be an object" });
+    return null;
   }
-});
+  const update = {};
+  for (const field of SEND_LIMIT_FIELDS) {
+    if (value[field] === undefined) continue;
+    const n = value[field] === null ? null : Number(value[field]);
+    if (n !== null && !(Number.isFinite(n) && n >= 0)) {
+      res.status(400).json({
+        success: false,
+        error: `sendLimits.${field} must be a non-negative number`,
+      });
+      return null;
+    }
+    update[`sendLimits.${field}`] = n;
+  }
+  if (value.warmupPerDay !== undefined) {
+    const days = value.warmupPerDay || [];
+    if (
+      !Array.isArray(days) ||
+      !days.every((n) => Number.isFinite(Number(n)) && Number(n) > 0)
+    ) {
+      res.status(400).json({
+        success: false,
+        error: "sendLimits.warmupPerDay must be a list of positive numbers",
+      });
+      return null;
+    }
+    update["sendLimits.warmupPerDay"] = days.map(Number);
+  }
+  return update;
+}
+
+// Send failures the caller can act on get a 4xx instead of a 500
+function sendFailure(res, err) {
+  if (err.code === "RATE_LIMITED")
+    res.set("Retry-After", String(err.retryAfter));
+  const status = { SUPPRESSED: 400, RATE_LIMITED: 429 }[err.code] || 500;
+  res.status(status).json({ success: false, error: err.message });
+}
+
+/* ---------- Opt-outs ---------- */
+const DEFAULT_OPT_OUT_KEYWORDS = [
+  "STOP",
+  "STOPALL",
+  "UNSUBSCRIBE",
+  "OPT OUT",
+  "OPTOUT",
+];
+
+function parseKeywords(keywords) {
+  if (typeof keywords === "string") keywords = keywords.split(",");
+  if (!Array.isArray(keywords)) return [];
+  return [...new Set(keywords.map((k) => normalizeKeyword(k)).filter(Boolean))];
+}
+
+// "Stop." and " stop " both count as STOP
+function normalizeKeyword(text) {
+  return String(text || "")
+    .toUpperCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+async function optOutKeywords(accountId) {
+  const account = await Account.findOne({ accountId });
+  if (account?.optOutKeywords?.length) return account.optOutKeywords;
+  const configured = parseKeywords(process.env.OPT_OUT_KEYWORDS);
+  return configured.length ? configured : DEFAULT_OPT_OUT_KEYWORDS;
+}
+
+// A suppression for the account or a global one both block the number
+async function isSuppressed(accountId, phone) {
+  return Boolean(
+    await Suppression.exists({ phone, accountId: { $in: [accountId, null] } })
+  );
+}
+
+// An inbound message that is exactly an opt-out keyword suppresses the
+// sender for the account it was sent to.
+async function handleOptOut(accountId, phone, body) {
+  const text = normalizeKeyword(body);
+  if (!text || !(await optOutKeywords(accountId)).includes(text)) return;
+
+  const result = await Suppression.updateOne(
+    { phone, accountId },
+    { $setOnInsert: { source: "keyword", keyword: text } },
+    { upsert: true }
+  );
+  if (result.upsertedCount) {
+    console.log(`${phone} opted out of ${accountId} with "${text}"`);
+    broadcast(accountId, "opt_out", { phone, keyword: text });
+  }
+}
+
+// A row targets a group through a groupId column, or a group id where the
+// phone number would be
+function findRecipientGroup(row) {
+  const value =
+    row && typeof row === "object"
+      ? row.groupId ?? findRecipientPhone(row)
+      : row;
+  return isGroupId(value) ? value.trim() : null;
+}
+
+// Same column guessing the bulk page used to do in the browser
+function findRecipientPhone(row) {
+  if (row === null || typeof row !== "object") return row;
+  const key = findPhoneKey(row);
+  return key ? row[key] : undefined;
+}
+
+// A "phone" key wins over lookalikes such as "Order Number"
+function findPhoneKey(row) {
+  if (row === null || typeof row !== "object") return undefined;
+  const keys = Object.keys(row).filter((k) => row[k]);
+  return (
+    keys.find((k) => k.trim().toLowerCase() === "phone") ||
+    keys.find((k) => /phone|number/i.test(k))
+  );
+}
+
+// Renders one recipient's message. In strict mode a row missing a variable
+// that has no default is rejected instead of going out half-filled.
+function renderMessage(compiled, variables, strict) {
+  const { text, missing } = compiled.render(variables);
+  if (strict && missing.length)
+    return { missing, error: `Missing variables: ${missing.join(", ")}` };
+  return { text, missing };
+}
+
+// Compiles a template or answers 400 with the syntax error
+function compileOrReject(res, content) {
+  try {
+    return compileTemplate(content);
+  } catch (err) {
+    res
+      .status(400)
+      .json({ success: false, error: `Template error: ${err.message}` });
+    return null;
+  }
+}
+
+function parseTags(tags) {
+  if (typeof tags === "string") tags = tags.split(",");
+  if (!Array.isArray(tags)) return [];
+  return [...new Set(tags.map((t) => String(t).trim()).filter(Boolean))];
+}
+
+// Returns the canonical language tag, undefined when none was given, or null
+// after answering 400 for a malformed one.
+function parseLanguage(res, language) {
+  if (!language) return undefined;
+  try {
+    return Intl.getCanonicalLocales(String(language))[0];
+  } catch (err) {
+    res
+      .status(400)
+      .json({ success: false, error: `Invalid language ${language}` });
+    return null;
+  }
+}
+
+// Declared variables come from the content itself; samples are taken from the
+// request, else kept from the previous save.
+function declareVariables(content, samples = {}, previous = []) {
+  return templateVariables(content).map((name) => ({
+    name,
+    sample: String(
+      samples?.[name] ?? previous.find((v) => v.name === name)?.sample ?? ""
+    ),
+  }));
+}
+
+function templateFingerprint(template) {
+  return JSON.stringify([
+    template.name,
+    template.content,
+    template.category,
+    template.tags,
+    template.language,
+    template.attachments.map(String),
+  ]);
+}
+
+// Resolves media library ids, keeping their order; answers 400 and returns
+// null when any of them is unknown.
+async function findMediaItems(res, ids) {
+  if (!Array.isArray(ids)) ids = ids ? [ids] : [];
+  const invalid = ids.filter((id) => !mongoose.isValidObjectId(id));
+  const items = invalid.length
+    ? []
+    : await MediaItem.find({ _id: { $in: ids } });
+  const missing = invalid.length
+    ? invalid
+    : ids.filter((id) => !items.some((item) => item._id.equals(id)));
+  if (missing.length) {
+    res.status(400).json({
+      success: false,
+      error: `Unknown media items: ${missing.join(", ")}`,
+    });
+    return null;
+  }
+  return ids.map((id) => items.find((item) => item._id.equals(id)));
+}
+
+function snapshotTemplate(template, savedBy, savedAt = new Date()) {
+  template.versions.push({
+    version: template.version,
+    name: template.name,
+    content: template.content,
+    category: template.category,
+    tags: template.tags,
+    language: template.language,
+    variables: template.variables,
+    attachments: template.attachments,
+    savedBy,
+    savedAt,
+  });
+}
+
+/* ---------- Number checks ---------- */
+const NUMBER_CHECK_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const NUMBER_CHECK_BATCH_SIZE = 10;
+const NUMBER_CHECK_PAUSE_MS = 1000;
+const NUMBER_CHECK_MAX = 1000;
+
+// Looks up whether a phone has a WhatsApp account, using the cached answer
+// while it is fresh so repeated campaigns don't hit WhatsApp for every number.
+async function lookupRegistration(client, accountId, phone, refresh = false) {
+  if (!refresh) {
+    const cached = await NumberCheck.findOne({
+      phone,
+      checkedAt: { $gte: new Date(Date.now() - NUMBER_CHECK_TTL_MS) },
+    });
+    if (cached)
+      return { registered: cached.registered, waId: cached.waId, cached: true };
+  }
+
+  const numberId = await client.getNumberId(`${phone}@c.us`);
+  const result = {
+    registered: Boolean(numberId),
+    waId: numberId ? numberId._serialized : undefined,
+  };
+  await NumberCheck.findOneAndUpdate(
+    { phone },
+    { ...result, accountId, checkedAt: new Date() },
+    { upsert: true }
+  );
+  return { ...result, cached: false };
+}
+
+// Checks numbers in small batches with a pause in between; only live lookups
+// count towards the throttle, cached answers come back immediately.
+async function checkNumbers(client, accountId, phones, refresh = false) {
+  const results = new Map();
+  let live = 0;
+  for (const phone of phones) {
+    if (results.has(phone)) continue;
+    try {
+      const result = await lookupRegistration(
+        client,
+        accountId,
+        phone,
+        refresh
+      );
+      results.set(phone, result);
+      if (!result.cached && ++live % NUMBER_CHECK_BATCH_SIZE === 0)
+        await sleep(NUMBER_CHECK_PAUSE_MS);
+    } catch (err) {
+      results.set(phone, { error: err.message });
+    }
+  }
+  return results;
+}
+
+/* ---------- Campaign worker ---------- */
+const CLIENT_WAIT_MS = 5000;
+const WINDOW_WAIT_MS = 60 * 1000;
+const activeCampaigns = new Set();
+const POOL_STRATEGIES = ["round-robin", "least-loaded", "sticky"];
+// Round-robin position per campaign; losing it on restart is harmless
+const poolRotation = {};
+const DEFAULT_RETRY = { maxAttempts: 3, backoffSeconds: 30 };
+const MAX_RETRY_ATTEMPTS = 10;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+// Failures that will not go away by sending again; anything else (timeouts,
+// dropped sessions, protocol errors) is worth another attempt
+const PERMANENT_SEND_ERRORS = [
+  /invalid wid/i,
+  /not (a )?valid/i,
+  /not registered/i,
+  /no lid for user/i,
+  /media file not found/i,
+  /ENOENT/,
+];
+
+function isRetryable(err) {
+  return !PERMANENT_SEND_ERRORS.some((pattern) => pattern.test(err.message));
+}
+
+// Exponential backoff: backoffSeconds, then twice that, and so on
+function retryDelay(retry, attempts) {
+  const backoff =
+    (retry?.backoffSeconds ?? DEFAULT_RETRY.backoffSeconds) * 1000;
+  return Math.min(backoff * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+}
+
+// Validates { maxAttempts, backoffSeconds }; answers 400 and returns null on
+// bad input
+function parseRetry(res, value) {
+  if (value === undefined) return { ...DEFAULT_RETRY };
+  const maxAttempts = Number(value?.maxAttempts ?? DEFAULT_RETRY.maxAttempts);
+  const backoffSeconds = Number(
+    value?.backoffSeconds ?? DEFAULT_RETRY.backoffSeconds
+  );
+  if (
+    !Number.isInteger(maxAttempts) ||
+    maxAttempts < 1 ||
+    maxAttempts > MAX_RETRY_ATTEMPTS
+  ) {
+    res.status(400).json({
+      success: false,
+      error: `retry.maxAttempts must be between 1 and ${MAX_RETRY_ATTEMPTS}`,
+    });
+    return null;
+  }
+  if (!Number.isFinite(backoffSeconds) || backoffSeconds < 1) {
+    res.status(400).json({
+      success: false,
+      error: "retry.backoffSeconds must be at least 1",
+    });
+    return null;
+  }
+  return { maxAttempts, backoffSeconds };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function campaignProgress(campaign) {
+  return {
+    campaignId: campaign._id,
+    status: campaign.status,
+    total: campaign.total,
+    sent: campaign.sent,
+    failed: campaign.failed,
+    skipped: campaign.skipped,
+  };
+}
+
+function campaignPool(campaign) {
+  return campaign.accounts?.length ? campaign.accounts : [campaign.accountId];
+}
+
+function startCampaignClients(campaign) {
+  for (const accountId of campaignPool(campaign))
+    initializeWhatsAppClient(accountId);
+}
+
+// Pool members that can send right now. Accounts that are not ready or are
+// at their send limit sit out, so their share of the jobs goes to the rest;
+// `wait` is how soon a rate-limited member frees up.
+async function availableAccounts(campaign) {
+  const available = [];
+  let wait = Infinity;
+  for (const accountId of campaignPool(campaign)) {
+    const client = whatsappClients[accountId];
+    if (!client || !client.isReady) continue;
+    const limit = await checkSendLimits(accountId);
+    if (limit.wait > 0) wait = Math.min(wait, limit.wait);
+    else available.push(accountId);
+  }
+  return { available, wait };
+}
+
+function phoneHash(phone) {
+  let hash = 0;
+  for (const c of String(phone)) hash = (hash * 31 + c.charCodeAt(0)) >>> 0;
+  return hash;
+}
+
+// Chooses the pool member that sends a job. Sticky keeps a recipient on the
+// number that last wrote to them (or a fixed member for new recipients) so
+// follow-ups come from the same sender, falling back to round-robin only
+// while that number is unavailable.
+async function pickAccount(campaign, phone, available) {
+  if (available.length === 1) return available[0];
+  const pool = campaignPool(campaign);
+
+  if (campaign.strategy === "sticky") {
+    const last = await Message.findOne({
+      phone,
+      direction: "outbound",
+      accountId: { $in: pool },
+    }).sort({ timestamp: -1 });
+    const home = last?.accountId || pool[phoneHash(phone) % pool.length];
+    if (available.includes(home)) return home;
+  }
+
+  if (campaign.strategy === "least-loaded") {
+    const since = new Date(Date.now() - LIMIT_PERIODS.perHour);
+    let best;
+    let bestCount = Infinity;
+    for (const accountId of available) {
+      const count = await Message.countDocuments({
+        accountId,
+        direction: "outbound",
+        sentAt: { $gte: since },
+      });
+      if (count < bestCount) {
+        best = accountId;
+        bestCount = count;
+      }
+    }
+    return best;
+  }
+
+  const key = String(campaign._id);
+  const position = (poolRotation[key] || 0) % available.length;
+  poolRotation[key] = position + 1;
+  return available[position];
+}
+
+// Sends the campaign's pending jobs one by one until none are left. Only one
+// loop runs per campaign; progress lives in MongoDB so a restart can pick up
+// where the previous process stopped.
+async function runCampaign(campaignId) {
+  const key = String(campaignId);
+  if (activeCampaigns.has(key)) return;
+  activeCampaigns.add(key);
+
+  let halted = false;
+  try {
+    while (true) {
+      const campaign = await Campaign.findById(campaignId);
+      if (!campaign || campaign.status !== "running") {
+        halted = Boolean(campaign);
+        break;
+      }
+
+      const { available, wait } = await availableAccounts(campaign);
+      if (available.length === 0) {
+        await sleep(
+          wait === Infinity ? CLIENT_WAIT_MS : Math.min(wait, WINDOW_WAIT_MS)
+        );
+        continue;
+      }
+
+      const job = await CampaignJob.findOneAndUpdate(
+        {
+          campaignId,
+          status: "pending",
+          $or: [{ notBefore: null }, { notBefore: { $lte: new Date() } }],
+        },
+        { status: "sending" },
+        { sort: { index: 1 }, new: true }
+      );
+      if (!job) {
+        // Jobs held back by the send window keep the campaign running
+        const waiting = await CampaignJob.findOne({
+          campaignId,
+          status: "pending",
+        }).sort({ notBefore: 1 });
+        if (waiting) {
+          await sleep(
+            Math.min(
+              Math.max(waiting.notBefore - Date.now(), 0),
+              WINDOW_WAIT_MS
+            )
+          );
+          continue;
+        }
+
+        const done = await Campaign.findOneAndUpdate(
+          { _id: campaignId, status: "running" },
+          { status: "completed", completedAt: new Date() },
+          { new: true }
+        );
+        if (done)
+          broadcast(
+            done.accountId,
+            "campaign_progress",
+            campaignProgress(done)
+          );
+        break;
+      }
+
+      if (campaign.sendWindow?.start) {
+        const sendAt = nextSendTime(
+          new Date(),
+          campaign.sendWindow,
+          job.phone,
+          campaign.timezone
+        );
+        if (sendAt > new Date()) {
+          job.status = "pending";
+          job.notBefore = sendAt;
+          await job.save();
+          continue;
+        }
+      }
+
+      // A retry goes to a different number when the pool has one
+      const others = available.filter((id) => id !== job.accountId);
+      const accountId = await pickAccount(
+        campaign,
+        job.phone,
+        job.attempts && others.length ? others : available
+      );
+      const client = whatsappClients[accountId];
+      job.accountId = accountId;
+
+      if (
+        campaign.skipUnregistered &&
+        !isGroupId(job.phone) &&
+        !(await isRegistered(client, accountId, job.phone))
+      ) {
+        job.status = "skipped";
+        job.error = "Not registered on WhatsApp";
+        await job.save();
+        const updated = await Campaign.findByIdAndUpdate(
+          campaignId,
+          { $inc: { skipped: 1 } },
+          { new: true }
+        );
+        broadcast(updated.accountId, "campaign_progress", {
+          ...campaignProgress(updated),
+          phone: job.phone,
+          jobStatus: job.status,
+          error: job.error,
+        });
+        await sleep(NUMBER_CHECK_PAUSE_MS);
+        continue;
+      }
+
+      let counter = "sent";
+      job.attempts += 1;
+      try {
+        await sendWhatsAppMessage(client, {
+          phone: job.phone,
+          message: job.message,
+          media: campaign.media,
+          attachments: campaign.attachments,
+          campaignId,
+          delivered: job.messageIds,
+        });
+        job.status = "sent";
+        job.sentAt = new Date();
+      } catch (err) {
+        // Another send path used up the slot, or the number dropped out
+        // mid-send; the job goes back for the next available account
+        if (err.code === "RATE_LIMITED" || !client.isReady) {
+          job.status = "pending";
+          job.attempts -= 1;
+          job.accountId = undefined;
+          await job.save();
+          continue;
+        }
+        job.error = err.message;
+        const maxAttempts =
+          campaign.retry?.maxAttempts ?? DEFAULT_RETRY.maxAttempts;
+        if (
+          err.code !== "SUPPRESSED" &&
+          isRetryable(err) &&
+          job.attempts < maxAttempts
+        ) {
+          job.status = "pending";
+          job.notBefore = new Date(
+            Date.now() + retryDelay(campaign.retry, job.attempts)
+          );
+          await job.save();
+          broadcast(campaign.accountId, "campaign_progress", {
+            ...campaignProgress(campaign),
+            phone: job.phone,
+            jobStatus: "retrying",
+            attempts: job.attempts,
+            retryAt: job.notBefore,
+            error: job.error,
+          });
+          continue;
+        }
+        counter = err.code === "SUPPRESSED" ? "skipped" : "failed";
+        job.status = counter;
+      }
+      await job.save();
+
+      const updated = await Campaign.findByIdAndUpdate(
+        campaignId,
+        { $inc: { [counter]: 1 } },
+        { new: true }
+      );
+      broadcast(updated.accountId, "campaign_progress", {
+        ...campaignProgress(updated),
+        phone: job.phone,
+        jobStatus: job.status,
+        error: job.error,
+      });
+
+      // Nothing went out for a skipped job, so no need to wait. With several
+      // numbers sharing the work each still gets about delaySeconds of rest.
+      if (counter !== "skipped")
+        await sleep((campaign.delaySeconds * 1000) / available.length);
+    }
+  } catch (err) {
+    console.error(`Campaign ${key} worker error:`, err);
+  } finally {
+    activeCampaigns.delete(key);
+  }
+
+  // A resume that landed while this loop was on its way out saw it still
+  // active and didn't start another, so pick the campaign up again here
+  if (!halted) return;
+  try {
+    const campaign = await Campaign.findById(campaignId);
+    if (campaign?.status === "running") {
+      startCampaignClients(campaign);
+      runCampaign(campaignId);
+    }
+  } catch (err) {
+    console.error(`Campaign ${key} restart check failed:`, err);
+  }
+}
+
+// A failed lookup shouldn't drop the recipient, so errors count as registered
+// and the send itself decides.
+async function isRegistered(client, accountId, phone) {
+  try {
+    const { registered } = await lookupRegistration(client, accountId, phone);
+    return registered;
+  } catch (err) {
+    console.error(`Registration check for ${phone} failed:`, err.message);
+    return true;
+  }
+}
+
+// A job left in "sending" with no worker attached was interrupted mid-send
+// (server stopped), so it goes back in the queue.
+function requeueInterruptedJobs(campaignId) {
+  return CampaignJob.updateMany(
+    { campaignId, status: "sending" },
+    { status: "pending" }
+  );
+}
+
+// Pick up campaigns that were still running when the server stopped. Paused
+// campaigns stay paused until someone resumes them.
+async function resumeCampaigns() {
+  try {
+    const campaigns = await Campaign.find({ status: "running" });
+    for (const campaign of campaigns) {
+      await requeueInterruptedJobs(campaign._id);
+      startCampaignClients(campaign);
+      runCampaign(campaign._id);
+    }
+  } catch (err) {
+    console.error("Failed to resume campaigns:", err);
+  }
+}
+
+/* ---------- Scheduler ---------- */
+const SCHEDULER_POLL_MS = 15 * 1000;
+let schedulerBusy = false;
+
+// Reads scheduledAt, timezone and sendWindow from a request body. Local times
+// without an offset are read in `timezone`. Answers 400 and returns null when
+// any of them is invalid.
+function parseSchedule(res, body) {
+  const timezone = body.timezone || defaultTimeZone();
+  if (!isValidTimeZone(timezone)) {
+    res
+      .status(400)
+      .json({ success: false, error: `Unknown time zone ${timezone}` });
+    return null;
+  }
+
+  let scheduledAt;
+  if (body.scheduledAt) {
+    scheduledAt = parseScheduledAt(body.scheduledAt, timezone);
+    if (!scheduledAt) {
+      res.status(400).json({ success: false, error: "Invalid scheduledAt" });
+      return null;
+    }
+  }
+
+  let sendWindow;
+  if (body.sendWindow) {
+    const error = validateSendWindow(body.sendWindow);
+    if (error) {
+      res.status(400).json({ success: false, error });
+      return null;
+    }
+    const { start, end } = body.sendWindow;
+    sendWindow = { start, end, timezone: body.sendWindow.timezone };
+  }
+  return { scheduledAt, timezone, sendWindow };
+}
+
+async function startScheduledCampaigns() {
+  let campaign;
+  while (
+    (campaign = await Campaign.findOneAndUpdate(
+      { status: "scheduled", scheduledAt: { $lte: new Date() } },
+      { status: "running", startedAt: new Date() },
+      { new: true }
+    ))
+  ) {
+    startCampaignClients(campaign);
+    runCampaign(campaign._id);
+    broadcast(
+      campaign.accountId,
+      "campaign_progress",
+      campaignProgress(campaign)
+    );
+  }
+}
+
+// Due messages are only claimed for accounts whose client is ready; the rest
+// stay queued until it is.
+async function sendScheduledMessages() {
+  const due = { status: "scheduled", scheduledAt: { $lte: new Date() } };
+  for (const accountId of await ScheduledMessage.distinct("accountId", due))
+    if (!whatsappClients[accountId]) initializeWhatsAppClient(accountId);
+
+  const ready = Object.keys(whatsappClients).filter(
+    (id) => whatsappClients[id].isReady
+  );
+  let item;
+  while (
+    (item = await ScheduledMessage.findOneAndUpdate(
+      { ...due, accountId: { $in: ready } },
+      { status: "sending" },
+      { sort: { scheduledAt: 1 }, new: true }
+    ))
+  ) {
+    if (item.sendWindow?.start) {
+      const sendAt = nextSendTime(
+        new Date(),
+        item.sendWindow,
+        item.phone,
+        item.timezone
+      );
+      if (sendAt > new Date()) {
+        item.status = "scheduled";
+        item.scheduledAt = sendAt;
+        await item.save();
+        continue;
+      }
+    }
+
+    // Short pacing gaps are waited out; an account at its limit is left
+    // for a later run
+    const { wait } = await checkSendLimits(item.accountId);
+    if (wait >= SCHEDULER_POLL_MS) {
+      item.status = "scheduled";
+      await item.save();
+      ready.splice(ready.indexOf(item.accountId), 1);
+      continue;
+    }
+    await sleep(wait);
+
+    try {
+      const response = await sendWhatsAppMessage(
+        whatsappClients[item.accountId],
+        { phone: item.phone, message: item.message, media: item.media }
+      );
+      item.status = "sent";
+      item.messageId = response?.id?._serialized;
+      item.sentAt = new Date();
+    } catch (err) {
+      if (err.code === "RATE_LIMITED") {
+        item.status = "scheduled";
+        await item.save();
+        ready.splice(ready.indexOf(item.accountId), 1);
+        continue;
+      }
+      item.status = "failed";
+      item.error = err.message;
+    }
+    await item.save();
+  }
+}
+
+async function runScheduler() {
+  if (schedulerBusy) return;
+  schedulerBusy = true;
+  try {
+    await startScheduledCampaigns();
+    await sendScheduledMessages();
+  } catch (err) {
+    console.error("Scheduler error:", err);
+  } finally {
+    schedulerBusy = false;
+  }
+}
+
+// A message left in "sending" was interrupted by a restart; queue it again
+function requeueScheduledMessages() {
+  return ScheduledMessage.updateMany(
+    { status: "sending" },
+    { status: "scheduled" }
+  ).catch((err) => console.error("Failed to requeue scheduled messages:", err));
+}
+
+/* ---------- OTP ---------- */
+const OTP_LENGTH = Number(process.env.OTP_LENGTH) || 6;
+const OTP_TTL_SECONDS = Number(process.env.OTP_TTL_SECONDS) || 5 * 60;
+const OTP_MAX_ATTEMPTS = Number(process.env.OTP_MAX_ATTEMPTS) || 5;
+const OTP_RESEND_SECONDS = Number(process.env.OTP_RESEND_SECONDS) || 60;
+const OTP_MAX_PER_HOUR = Number(process.env.OTP_MAX_PER_HOUR) || 5;
+const OTP_TEMPLATE =
+  process.env.OTP_TEMPLATE ||
+  "Your verification code is {{code}}. It expires in {{minutes}} minutes.";
+
+function generateOtp(length) {
+  return String(crypto.randomInt(0, 10 ** length)).padStart(length, "0");
+}
+
+// Why a new code can't be sent yet, with the seconds to wait, or null. The
+// cooldown applies per purpose, the hourly cap to the phone as a whole.
+// `ownId` is the row the request already reserved; it is left out so that of
+// two racing requests at most one, the one that looks last, gets through.
+async function otpThrottle(phone, purpose, ownId) {
+  const now = Date.now();
+  const last = await OtpCode.findOne({
+    phone,
+    purpose,
+    _id: { $ne: ownId },
+  }).sort({ createdAt: -1 });
+  const resendAt = last && last.createdAt.getTime() + OTP_RESEND_SECONDS * 1000;
+  if (resendAt > now)
+    return {
+      error: "A code was sent recently, wait before requesting another",
+      retryAfter: Math.ceil((resendAt - now) / 1000),
+    };
+
+  const hourAgo = new Date(now - 60 * 60 * 1000);
+  const recent = await OtpCode.find({
+    phone,
+    _id: { $ne: ownId },
+    createdAt: { $gte: hourAgo },
+  })
+    .sort({ createdAt: 1 })
+    .limit(OTP_MAX_PER_HOUR);
+  if (recent.length >= OTP_MAX_PER_HOUR)
+    return {
+      error: "Too many codes requested for this number",
+      retryAfter: Math.ceil(
+        (recent[0].createdAt.getTime() + 60 * 60 * 1000 - now) / 1000
+      ),
+    };
+  return null;
+}
+
+/* ---------- Webhooks ---------- */
+const WEBHOOK_EVENTS = [
+  "authenticated",
+  "ready",
+  "disconnected",
+  "reconnecting",
+  "auth_failure",
+  "message_sent",
+  "message_failed",
+  "message_suppressed",
+  "message_ack",
+  "inbound_message",
+  "opt_out",
+];
+const WEBHOOK_MAX_ATTEMPTS = 6;
+const WEBHOOK_BASE_DELAY_MS = 10 * 1000;
+const WEBHOOK_POLL_MS = 5000;
+let webhookWorkerBusy = false;
+
+function signWebhookBody(secret, body) {
+  return crypto.createHmac("sha256", secret).update(body).digest("hex");
+}
+
+// Record one pending delivery per matching webhook; the worker below sends
+// them, so an unreachable endpoint never slows down the event source.
+async function queueWebhooks(accountId, event, data) {
+  if (!WEBHOOK_EVENTS.includes(event)) return;
+  try {
+    const hooks = await Webhook.find({
+      active: true,
+      $and: [
+        { $or: [{ events: { $size: 0 } }, { events: event }] },
+        { $or: [{ accountIds: { $size: 0 } }, { accountIds: accountId }] },
+      ],
+    });
+    if (hooks.length === 0) return;
+
+    await WebhookDelivery.insertMany(
+      hooks.map((hook) => ({
+        webhookId: hook._id,
+        event,
+        accountId,
+        payload: data,
+      }))
+    );
+    setImmediate(processWebhookDeliveries);
+  } catch (err) {
+    console.error(`Failed to queue webhooks for ${event}:`, err);
+  }
+}
+
+async function attemptWebhookDelivery(delivery) {
+  const hook = await Webhook.findById(delivery.webhookId);
+  if (!hook || !hook.active) {
+    delivery.status = "failed";
+    delivery.error = "Webhook removed or disabled";
+    return delivery.save();
+  }
+
+  const body = JSON.stringify({
+    id: delivery._id,
+    event: delivery.event,
+    accountId: delivery.accountId,
+    data: delivery.payload,
+    timestamp: delivery.createdAt,
+  });
+
+  delivery.attempts += 1;
+  try {
+    const response = await axios.post(hook.url, body, {
+      timeout: 10000,
+      headers: {
+        "Content-Type": "application/json",
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Delivery": String(delivery._id),
+        "X-Webhook-Signature": `sha256=${signWebhookBody(hook.secret, body)}`,
+      },
+    });
+    delivery.status = "delivered";
+    delivery.responseStatus = response.status;
+    delivery.deliveredAt = new Date();
+    delivery.error = undefined;
+  } catch (err) {
+    delivery.responseStatus = err.response?.status;
+    delivery.error = err.message;
+    if (delivery.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+      delivery.status = "failed";
+    } else {
+      // 10s, 20s, 40s, ... between attempts
+      const backoff = WEBHOOK_BASE_DELAY_MS * 2 ** (delivery.attempts - 1);
+      delivery.nextAttemptAt = new Date(Date.now() + backoff);
+    }
+  }
+  return delivery.save();
+}
+
+async function processWebhookDeliveries() {
+  if (webhookWorkerBusy) return;
+  webhookWorkerBusy = true;
+  try {
+    const due = await WebhookDelivery.find({
+      status: "pending",
+      nextAttemptAt: { $lte: new Date() },
+    })
+      .sort({ nextAttemptAt: 1 })
+      .limit(50);
+    for (const delivery of due) {
+      await attemptWebhookDelivery(delivery);
+    }
+  } catch (err) {
+    console.error("Webhook worker error:", err);
+  } finally {
+    webhookWorkerBusy = false;
+  }
+}
+
+/* ---------- Auth ---------- */
+const API_SCOPES = [
+  "send",
+  "read",
+  "manage-accounts",
+  "manage-templates",
+  "manage-contacts",
+  "manage-webhooks",
+  "manage-keys",
+  "manage-users",
+];
+
+// Dashboard users get the scopes of their role
+const ROLE_SCOPES = {
+  admin: API_SCOPES,
+  operator: ["send", "read", "manage-templates", "manage-contacts"],
+  viewer: ["read"],
+};
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(password, salt, 64).toString("hex");
+  return `${salt}:${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [salt, hash] = String(stored).split(":");
+  if (!salt || !hash) return false;
+  const expected = Buffer.from(hash, "hex");
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Seed the first admin from ADMIN_USERNAME / ADMIN_PASSWORD on an empty
+// users collection, otherwise nobody could ever log in.
+// The "default" account always exists, so a fresh install has one to link
+async function startDefaultAccount() {
+  try {
+    await Account.updateOne(
+      { accountId: "default" },
+      { $setOnInsert: { createdAt: new Date() } },
+      { upsert: true }
+    );
+  } catch (err) {
+    console.error("Failed to create the default account:", err);
+  }
+  initializeWhatsAppClient("default");
+}
+
+async function ensureAdminUser() {
+  try {
+    if ((await User.countDocuments()) > 0) return;
+    const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+    if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+      console.warn(
+        "⚠️  No dashboard users yet; set ADMIN_USERNAME and ADMIN_PASSWORD to create the first admin"
+      );
+      return;
+    }
+    await User.create({
+      username: ADMIN_USERNAME,
+      passwordHash: hashPassword(ADMIN_PASSWORD),
+      role: "admin",
+    });
+    console.log(`Created admin user ${ADMIN_USERNAME}`);
+  } catch (err) {
+    console.error("Failed to create admin user:", err);
+  }
+}
+
+function hashApiKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+function isAdminKey(key) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) return false;
+  const a = Buffer.from(hashApiKey(key));
+  const b = Buffer.from(hashApiKey(adminKey));
+  return crypto.timingSafeEqual(a, b);
+}
+
+// Callers are either a logged-in dashboard user (session cookie) or an
+// integration with an API key in the X-API-Key header. Both end up as
+// req.auth with a list of scopes and allowed accounts.
+async function authenticate(req, res, next) {
+  try {
+    if (req.session.userId) {
+      const user = await User.findById(req.session.userId);
+      if (user) {
+        req.user = user;
+        req.auth = {
+          name: user.username,
+          scopes: ROLE_SCOPES[user.role],
+          accountIds: [],
+        };
+        return next();
+      }
+    }
+
+    // EventSource cannot set headers, so the query string works as well
+    const key = req.get("X-API-Key") || req.query.apiKey;
+    if (!key)
+      return res
+        .status(401)
+        .json({ success: false, error: "Login or API key required" });
+
+    if (isAdminKey(key)) {
+      req.auth = { name: "admin", scopes: API_SCOPES, accountIds: [] };
+      return next();
+    }
+
+    const apiKey = await ApiKey.findOne({
+      keyHash: hashApiKey(key),
+      revokedAt: null,
+    });
+    if (!apiKey)
+      return res.status(401).json({ success: false, error: "Invalid API key" });
+    ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() }).catch(
+      () => {}
+    );
+    req.auth = apiKey;
+    next();
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (req.auth.scopes.includes(scope)) return next();
+    res
+      .status(403)
+      .json({ success: false, error: `Not allowed: requires ${scope}` });
+  };
+}
+
+// Callers limited to some accounts; an empty list means every account
+function isRestricted(req) {
+  return Boolean(req.auth.accountIds?.length);
+}
+
+// Dashboard users are not tied to accounts, so a key limited to some accounts
+// must not manage them
+function requireUnrestricted(req, res, next) {
+  if (!isRestricted(req)) return next();
+  res.status(403).json({
+    success: false,
+    error: "Not allowed for a key limited to accounts",
+  });
+}
+
+function canUseAccount(req, accountId) {
+  return !isRestricted(req) || req.auth.accountIds.includes(accountId);
+}
+
+// Sends the 403 itself, so routes can `if (!checkAccount(...)) return;`
+function checkAccount(req, res, accountId) {
+  if (canUseAccount(req, accountId)) return true;
+  res.status(403).json({
+    success: false,
+    error: `Not allowed to use account ${accountId}`,
+  });
+  return false;
+}
+
+// Narrow a list query to the accounts the caller may see
+function scopeToAccounts(req, filter) {
+  const allowed = req.auth.accountIds;
+  if (!allowed || allowed.length === 0) return filter;
+  if (!filter.accountId) filter.accountId = { $in: allowed };
+  else if (!allowed.includes(filter.accountId)) filter.accountId = { $in: [] };
+  return filter;
+}
+
+// Same for documents that list their accounts (webhooks, API keys), where an
+// empty list means every account: a restricted caller only sees those whose
+// accounts are all its own
+function scopeToAccountLists(req, filter) {
+  if (!isRestricted(req)) return filter;
+  filter.accountIds = {
+    $ne: [],
+    $not: { $elemMatch: { $nin: req.auth.accountIds } },
+  };
+  return filter;
+}
+
+// Checks an accountIds list the caller wants to store; a restricted caller
+// can't leave it empty, since that would reach every account. Answers
+// 400/403 and returns false when it is not allowed.
+function checkAccountList(req, res, accountIds) {
+  if (!Array.isArray(accountIds)) {
+    res
+      .status(400)
+      .json({ success: false, error: "accountIds must be an array" });
+    return false;
+  }
+  if (isRestricted(req) && accountIds.length === 0) {
+    res.status(403).json({
+      success: false,
+      error: "A restricted key must list the accounts",
+    });
+    return false;
+  }
+  return accountIds.every((id) => checkAccount(req, res, id));
+}
+
+/* ---------- Routes ---------- */
+app.get("/api/health", (_req, res) =>
+  res.json({ success: true, message: "Server is running" })
+);
+
+app.post("/api/auth/login", async (req, res) => {
+  const { username, password } = req.body;
+  if (!username || !password)
+    return res
+      .status(400)
+      .json({ success: false, error: "Username and password required" });
+
+  try {
+    const user = await User.findOne({ username });
+    if (!user || !verifyPassword(password, user.passwordHash))
+      return res
+        .status(401)
+        .json({ success: false, error: "Invalid username or password" });
+
+    req.session.regenerate((err) => {
+      if (err)
+        return res.status(500).json({ success: false, error: err.message });
+      req.session.userId = String(user._id);
+      user.lastLoginAt = new Date();
+      user.save().catch(() => {});
+      res.json({
+        success: true,
+        user: { username: user.username, role: user.role },
+      });
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.post("/api/auth/logout", (req, res) => {
+  req.session.destroy(() => {
+    res.clearCookie("connect.sid");
+    res.json({ success: true, message: "Logged out" });
+  });
+});
+
+// Everything below /api needs a session or a key
+app.use("/api", authenticate);
+
+app.get("/api/auth/me", (req, res) => {
+  res.json({
+    success: true,
+    user: req.user
+      ? { username: req.user.username, role: req.user.role }
+      : null,
+    scopes: req.auth.scopes,
+  });
+});
+
+app.get("/api/accounts", requireScope("read"), async (req, res) => {
+  const filter = {};
+  if (req.query.label) filter.labels = String(req.query.label);
+
+  try {
+    const accounts = await Account.find(scopeToAccounts(req, filter)).sort({
+      createdAt: -1,
+    });
+    res.json({ success: true, accounts });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.post("/api/accounts", requireScope("manage-accounts"), async (req, res) => {
+  const { accountId, defaultCountry, displayName, labels } = req.body;
+  if (!accountId)
+    return res
+      .status(400)
+      .json({ success: false, error: "Account ID required" });
+  if (/\s/.test(accountId))
+    return res.status(400).json({ success: false, error: "No spaces allowed" });
+  if (defaultCountry && !isValidCountry(defaultCountry))
+    return res.status(400).json({
+      success: false,
+      error: `Unknown country code ${defaultCountry}`,
+    });
+  if (!checkAccount(req, res, accountId)) return;
+
+  try {
+    if (await Account.findOne({ accountId }))
+      return res
+        .status(400)
+        .json({ success: false, error: "Account already exists" });
+
+    await new Account({
+      accountId,
+      defaultCountry: defaultCountry?.toUpperCase(),
+      displayName: displayName ? String(displayName).trim() : undefined,
+      labels: parseTags(labels),
+    }).save();
+    initializeWhatsAppClient(accountId);
+    res.json({ success: true, message: `Account ${accountId} initialized` });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.put(
+  "/api/accounts/:accountId",
+  requireScope("manage-accounts"),
+  async (req, res) => {
+    const { accountId } = req.params;
+    const { defaultCountry, optOutKeywords, sendLimits, displayName, labels } =
+      req.body;
+    if (defaultCountry && !isValidCountry(defaultCountry))
+      return res.status(400).json({
+        success: false,
+        error: `Unknown country code ${defaultCountry}`,
+      });
+    if (!checkAccount(req, res, accountId)) return;
+
+    // Only the settings present in the body change
+    const update = {};
+    if (defaultCountry !== undefined)
+      update.defaultCountry = defaultCountry
+        ? defaultCountry.toUpperCase()
+        : null;
+    if (optOutKeywords !== undefined)
+      update.optOutKeywords = parseKeywords(optOutKeywords);
+    if (displayName !== undefined)
+      update.displayName = displayName ? String(displayName).trim() : null;
+    if (labels !== undefined) update.labels = parseTags(labels);
+    if (sendLimits !== undefined) {
+      const limits = parseSendLimits(res, sendLimits);
+      if (!limits) return;
+      Object.assign(update, limits);
+    }
+
+    try {
+      const account = await Account.findOneAndUpdate({ accountId }, update, {
+        new: true,
+      });
+      if (!account)
+        return res
+          .status(404)
+          .json({ success: false, error: "Account not found" });
+      res.json({ success: true, account });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// The linked WhatsApp profile: what was captured on ready plus, while
+// connected, the current about text and picture
+app.get(
+  "/api/accounts/:accountId/profile",
+  requireScope("read"),
+  async (req, res) => {
+    const { accountId } = req.params;
+    if (!checkAccount(req, res, accountId)) return;
+    try {
+      const account = await Account.findOne({ accountId });
+      if (!account)
+        return res
+          .status(404)
+          .json({ success: false, error: "Account not found" });
+
+      const profile = { ...account.toObject().profile };
+      const client = whatsappClients[accountId];
+      if (client?.isReady && profile.wid) {
+        const contact = await client.getContactById(profile.wid);
+        profile.about = await contact.getAbout();
+        profile.pictureUrl =
+          (await client.getProfilePicUrl(profile.wid)) || null;
+      }
+      res.json({
+        success: true,
+        accountId,
+        displayName: account.displayName,
+        labels: account.labels,
+        defaultCountry: account.defaultCountry,
+        profile,
+      });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// Changes the WhatsApp display name and/or about text of the linked number
+app.put(
+  "/api/accounts/:accountId/profile",
+  requireScope("manage-accounts"),
+  async (req, res) => {
+    const { accountId } = req.params;
+    const { name, status } = req.body;
+    if (name === undefined && status === undefined)
+      return res
+        .status(400)
+        .json({ success: false, error: "Name or status is required" });
+    if (name !== undefined && !String(name).trim())
+      return res
+        .status(400)
+        .json({ success: false, error: "Name cannot be empty" });
+    if (!checkAccount(req, res, accountId)) return;
+
+    const client = whatsappClients[accountId];
+    if (!client || !client.isReady)
+      return res.status(400).json({
+        success: false,
+        error: `Client for ${accountId} not initialized or not ready. Please scan the QR code first.`,
+      });
+
+    try {
+      if (name !== undefined) {
+        const changed = await client.setDisplayName(String(name).trim());
+        if (!changed)
+          return res
+            .status(400)
+            .json({ success: false, error: "WhatsApp rejected the name" });
+      }
+      if (status !== undefined) await client.setStatus(String(status));
+
+      const account = await Account.findOneAndUpdate(
+        { accountId },
+        { profile: linkedProfile(client) },
+        { new: true }
+      );
+      res.json({ success: true, profile: account?.profile });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+app.put(
+  "/api/accounts/:accountId/profile/picture",
+  requireScope("manage-accounts"),
+  async (req, res) => {
+    const { accountId } = req.params;
+    const file = req.files?.file;
+    if (!file)
+      return res
+        .status(400)
+        .json({ success: false, error: "No file uploaded" });
+    const mimeType = mime.lookup(file.name) || file.mimetype;
+    if (!/^image\/(jpeg|png)$/.test(mimeType))
+      return res
+        .status(400)
+        .json({ success: false, error: "Picture must be a JPEG or PNG image" });
+    if (!checkAccount(req, res, accountId)) return;
+
+    const client = whatsappClients[accountId];
+    if (!client || !client.isReady)
+      return res.status(400).json({
+        success: false,
+        error: `Client for ${accountId} not initialized or not ready. Please scan the QR code first.`,
+      });
+
+    try {
+      const media = new MessageMedia(
+        mimeType,
+        file.data.toString("base64"),
+        file.name
+      );
+      if (!(await client.setProfilePicture(media)))
+        return res
+          .status(400)
+          .json({ success: false, error: "WhatsApp rejected the picture" });
+      res.json({ success: true, message: "Profile picture updated" });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+app.delete(
+  "/api/accounts/:accountId/profile/picture",
+  requireScope("manage-accounts"),
+  async (req, res) => {
+    const { accountId } = req.params;
+    if (!checkAccount(req, res, accountId)) return;
+
+    const client = whatsappClients[accountId];
+    if (!client || !client.isReady)
+      return res.status(400).json({
+        success: false,
+        error: `Client for ${accountId} not initialized or not ready. Please scan the QR code first.`,
+      });
+
+    try {
+      await client.deleteProfilePicture();
+      res.json({ success: true, message: "Profile picture removed" });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+app.get(
+  "/api/accounts/:accountId/health",
+  requireScope("read"),
+  async (req, res) => {
+    const { accountId } = req.params;
+    if (!checkAccount(req, res, accountId)) return;
+    try {
+      const account = await Account.findOne({ accountId });
+      if (!account)
+        return res
+          .status(404)
+          .json({ success: false, error: "Account not found" });
+      res.json({ success: true, health: await accountHealth(account) });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+app.get(
+  "/api/accounts/:accountId/limits",
+  requireScope("read"),
+  async (req, res) => {
+    const { accountId } = req.params;
+    if (!checkAccount(req, res, accountId)) return;
+    try {
+      const account = await Account.findOne({ accountId });
+      if (!account)
+        return res
+          .status(404)
+          .json({ success: false, error: "Account not found" });
+
+      const now = Date.now();
+      const usage = {};
+      for (const [period, ms] of Object.entries(LIMIT_PERIODS))
+        usage[period] = await Message.countDocuments({
+          accountId,
+          direction: "outbound",
+          sentAt: { $gte: new Date(now - ms) },
+        });
+      const { wait, limits } = await checkSendLimits(accountId);
+      res.json({
+        success: true,
+        limits,
+        dailyCap: dailyCap(limits, account.linkedAt) ?? null,
+        linkedAt: account.linkedAt,
+        usage,
+        nextSendAt: new Date(now + wait),
+      });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+app.post(
+  "/api/accounts/activate",
+  requireScope("manage-accounts"),
+  async (req, res) => {
+    const { accountId } = req.body;
+    if (!accountId)
+      return res
+        .status(400)
+        .json({ success: false, error: "Account ID required" });
+    if (!checkAccount(req, res, accountId)) return;
+    try {
+      if (!(await Account.exists({ accountId })))
+        return res
+          .status(404)
+          .json({ success: false, error: "Account not found" });
+      initializeWhatsAppClient(accountId);
+      res.json({ success: true, message: `Account ${accountId} activated` });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+app.post(
+  "/api/accounts/logout",
+  requireScope("manage-accounts"),
+  async (req, res) => {
+    const { accountId } = req.body;
+    if (!accountId)
+      return res
+        .status(400)
+        .json({ success: false, error: "Account ID required" });
+    if (!checkAccount(req, res, accountId)) return;
+
+    // A client waiting to reconnect still has a session to log out of
+    if (whatsappClients[accountId] || reconnects[accountId]) {
+      try {
+        await stopClient(accountId);
+        const authDir = sessionDir(accountId);
+        if (fs.existsSync(authDir))
+          fs.rmSync(authDir, { recursive: true, force: true });
+        await recordTransition(accountId, "logged_out", {
+          status: "disconnected",
+        });
+        // The next number linked to this account warms up from scratch
+        await Account.updateOne({ accountId }, { linkedAt: null });
+        res.json({ success: true, message: `Account ${accountId} logged out` });
+      } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+      }
+    } else {
+      res.json({
+        success: true,
+        message: `No active session for ${accountId}`,
+      });
+    }
+  }
+);
+
+// Refresh QR code
+app.post(
+  "/api/accounts/:accountId/refresh",
+  requireScope("manage-accounts"),
+  (req, res) => {
+    const { accountId } = req.params;
+    if (!checkAccount(req, res, accountId)) return;
+
+    if (!whatsappClients[accountId]) {
+      return res
+        .status(400)
+        .json({ success: false, error: "Client not initialized" });
+    }
+
+    // Force a fresh authentication by resetting the client
+    if (whatsappClients[accountId]) {
+      stopClient(accountId)
+        .then(() => {
+          initializeWhatsAppClient(accountId);
+          res.json({ success: true, message: "QR refresh initiated" });
+        })
+        .catch((err) => {
+          res.status(500).json({ success: false, error: err.message });
+        });
+    }
+  }
+);
+
+// SSE endpoint for account events
+app.get("/api/accounts/:accountId/events", requireScope("read"), (req, res) => {
+  const { accountId } = req.params;
+  if (!checkAccount(req, res, accountId)) return;
+
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.flushHeaders();
+
+  const clientId = Date.now();
+  if (!sseClients[accountId]) {
+    sseClients[accountId] = [];
+  }
+
+  sseClients[accountId].push({ id: clientId, res });
+
+  // Send initial connected event
+  res.write(`event: connected\n`);
+  res.write(`data: ${JSON.stringify({ message: "Connected to SSE" })}\n\n`);
+
+  // Start the client if not already done; only accounts that were created
+  // through the accounts API get one
+  Account.exists({ accountId })
+    .then((exists) => {
+      if (exists) initializeWhatsAppClient(accountId);
+    })
+    .catch((err) =>
+      console.error(`Failed to look up account ${accountId}:`, err)
+    );
+
+  req.on("close", () => {
+    console.log(`Client ${clientId} disconnected from SSE`);
+    sseClients[accountId] = sseClients[accountId].filter(
+      (client) => client.id !== clientId
+    );
+  });
+});
+
+// Send message
+app.post("/api/send-message", requireScope("send"), async (req, res) => {
+  let {
+    phone,
+    groupId,
+    message,
+    media,
+    accountId,
+    country,
+    variables,
+    strict,
+  } = req.body;
+
+  if (!accountId) accountId = "default"; // or enforce passing it explicitly
+
+  console.log("Send message request:", {
+    phone,
+    groupId,
+    message,
+    media,
+    accountId,
+  });
+
+  if (!phone && !groupId) {
+    return res
+      .status(400)
+      .json({ success: false, error: "Phone number or group id is required" });
+  }
+
+  // The phone field takes a group id as well, as campaign rows do
+  if (!groupId && isGroupId(phone)) groupId = phone;
+
+  if (groupId && !isGroupId(groupId)) {
+    return res
+      .status(400)
+      .json({ success: false, error: `Invalid group id ${groupId}` });
+  }
+
+  if (!message && !media?.url) {
+    return res
+      .status(400)
+      .json({ success: false, error: "Message or media is required" });
+  }
+
+  if (country && !isValidCountry(country)) {
+    return res
+      .status(400)
+      .json({ success: false, error: `Unknown country code ${country}` });
+  }
+
+  if (!checkAccount(req, res, accountId)) return;
+
+  if (media?.url && !fs.existsSync(path.join(__dirname, media.url))) {
+    return res
+      .status(400)
+      .json({ success: false, error: "Media file not found" });
+  }
+
+  const compiled = compileOrReject(res, message);
+  if (!compiled) return;
+  const schedule = parseSchedule(res, req.body);
+  if (!schedule) return;
+
+  try {
+    // A group id is sent to as it is; phone numbers get normalized
+    const normalized = groupId
+      ? { valid: true, phone: groupId.trim() }
+      : normalizePhone(phone, await resolveCountry(country, accountId));
+    if (!normalized.valid) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid phone number: ${normalized.reason}`,
+        reason: normalized.reason,
+      });
+    }
+
+    const rendered = renderMessage(compiled, variables || {}, strict);
+    if (rendered.error)
+      return res.status(400).json({
+        success: false,
+        error: rendered.error,
+        missing: rendered.missing,
+      });
+
+    // A future time or a closed send window queues it for the scheduler
+    let sendAt = new Date();
+    if (schedule.scheduledAt > sendAt) sendAt = schedule.scheduledAt;
+    if (schedule.sendWindow)
+      sendAt = nextSendTime(
+        sendAt,
+        schedule.sendWindow,
+        normalized.phone,
+        schedule.timezone
+      );
+    if (sendAt > new Date()) {
+      const scheduled = await ScheduledMessage.create({
+        accountId,
+        phone: normalized.phone,
+        message: rendered.text,
+        media,
+        scheduledAt: sendAt,
+        timezone: schedule.timezone,
+        sendWindow: schedule.sendWindow,
+        createdBy: req.auth.name,
+      });
+      return res.json({
+        success: true,
+        message: "Message scheduled",
+        scheduled,
+      });
+    }
+
+    const client = whatsappClients[accountId];
+
+    // ✅ Must check readiness
+    if (!client || !client.isReady) {
+      return res.status(400).json({
+        success: false,
+        error: `Client for ${accountId} not initialized or not ready. Please scan the QR code first.`,
+      });
+    }
+
+    const response = await sendWhatsAppMessage(client, {
+      phone: normalized.phone,
+      message: rendered.text,
+      media,
+    });
+    res.json({ success: true, message: "Message sent", response });
+  } catch (err) {
+    console.error("Error sending message:", err);
+    sendFailure(res, err);
+  }
+});
+
+// Sends a one-time code. The message comes from a saved template, an inline
+// `template` or OTP_TEMPLATE, and may use {{code}} and {{minutes}}.
+app.post("/api/otp/send", requireScope("send"), async (req, res) => {
+  const { phone, country, templateId, template, variables } = req.body;
+  const accountId = req.body.accountId || "default";
+  const purpose = String(req.body.purpose || "default");
+
+  if (!phone)
+    return res
+      .status(400)
+      .json({ success: false, error: "Phone number is required" });
+  if (country && !isValidCountry(country))
+    return res
+      .status(400)
+      .json({ success: false, error: `Unknown country code ${country}` });
+  if (templateId && !mongoose.isValidObjectId(templateId))
+    return res
+      .status(400)
+      .json({ success: false, error: "Invalid template id" });
+  if (!checkAccount(req, res, accountId)) return;
+
+  try {
+    let content = template || OTP_TEMPLATE;
+    if (templateId) {
+      const saved = await Template.findById(templateId);
+      if (!saved)
+        return res
+          .status(404)
+          .json({ success: false, error: "Template not found" });
+      content = saved.content;
+    }
+    const compiled = compileOrReject(res, content);
+    if (!compiled) return;
+    if (!templateVariables(content).includes("code"))
+      return res.status(400).json({
+        success: false,
+        error: "OTP template must contain {{code}}",
+      });
+
+    const normalized = normalizePhone(
+      phone,
+      await resolveCountry(country, accountId)
+    );
+    if (!normalized.valid)
+      return res.status(400).json({
+        success: false,
+        error: `Invalid phone number: ${normalized.reason}`,
+        reason: normalized.reason,
+      });
+
+    const client = whatsappClients[accountId];
+    if (!client || !client.isReady)
+      return res.status(400).json({
+        success: false,
+        error: `Client for ${accountId} not initialized or not ready. Please scan the QR code first.`,
+      });
+
+    // The row is written before the throttle looks, so parallel requests
+    // see each other; it is dropped again if no code goes out
+    const code = generateOtp(OTP_LENGTH);
+    let otp = await OtpCode.create({
+      phone: normalized.phone,
+      purpose,
+      accountId,
+      codeHash: hashPassword(code),
+      status: "sending",
+      maxAttempts: OTP_MAX_ATTEMPTS,
+      expiresAt: new Date(Date.now() + OTP_TTL_SECONDS * 1000),
+      createdBy: req.auth.name,
+    });
+    const throttled = await otpThrottle(normalized.phone, purpose, otp._id);
+    if (throttled) {
+      await otp.deleteOne();
+      return res
+        .status(429)
+        .set("Retry-After", String(throttled.retryAfter))
+        .json({ success: false, ...throttled });
+    }
+
+    // The stored message and its events carry the text with the code masked
+    const render = (value) =>
+      renderMessage(compiled, {
+        ...(variables && typeof variables === "object" ? variables : {}),
+        code: value,
+        minutes: Math.ceil(OTP_TTL_SECONDS / 60),
+      }).text;
+    let response;
+    try {
+      response = await sendWhatsAppMessage(client, {
+        phone: normalized.phone,
+        message: render(code),
+        storedMessage: render("*".repeat(code.length)),
+      });
+    } catch (err) {
+      await otp.deleteOne();
+      throw err;
+    }
+
+    otp = await OtpCode.findByIdAndUpdate(
+      otp._id,
+      { status: "pending", messageId: response?.id?._serialized },
+      { new: true }
+    );
+    // Only the account's newest code for a phone and purpose can be verified
+    await OtpCode.updateMany(
+      {
+        phone: normalized.phone,
+        purpose,
+        accountId,
+        status: "pending",
+        _id: { $ne: otp._id },
+      },
+      { status: "superseded" }
+    );
+    res.json({
+      success: true,
+      otpId: otp._id,
+      phone: otp.phone,
+      expiresAt: otp.expiresAt,
+      resendAfter: OTP_RESEND_SECONDS,
+    });
+  } catch (err) {
+    console.error("Error sending OTP:", err);
+    sendFailure(res, err);
+  }
+});
+
+app.post("/api/otp/verify", requireScope("send"), async (req, res) => {
+  const { phone, code, country } = req.body;
+  const accountId = req.body.accountId || "default";
+  const purpose = String(req.body.purpose || "default");
+
+  if (!phone || !code)
+    return res
+      .status(400)
+      .json({ success: false, error: "Phone number and code are required" });
+  if (country && !isValidCountry(country))
+    return res
+      .status(400)
+      .json({ success: false, error: `Unknown country code ${country}` });
+  if (!checkAccount(req, res, accountId)) return;
+
+  try {
+    const normalized = normalizePhone(
+      phone,
+      await resolveCountry(country, accountId)
+    );
+    if (!normalized.valid)
+      return res.status(400).json({
+        success: false,
+        error: `Invalid phone number: ${normalized.reason}`,
+        reason: normalized.reason,
+      });
+
+    // Codes belong to the account that sent them, so a key limited to other
+    // accounts can neither verify them nor use up their attempts
+    const pending = {
+      phone: normalized.phone,
+      purpose,
+      accountId,
+      status: "pending",
+    };
+    const latest = await OtpCode.findOne(pending).sort({ createdAt: -1 });
+    if (!latest)
+      return res
+        .status(400)
+        .json({ success: false, error: "No active code for this number" });
+    if (latest.expiresAt <= new Date()) {
+      await OtpCode.updateOne(
+        { _id: latest._id, status: "pending" },
+        { status: "expired" }
+      );
+      return res.status(400).json({ success: false, error: "Code expired" });
+    }
+
+    // Counting the attempt atomically keeps parallel guesses within the limit
+    const otp = await OtpCode.findOneAndUpdate(
+      {
+        _id: latest._id,
+        status: "pending",
+        $expr: { $lt: ["$attempts", "$maxAttempts"] },
+      },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (!otp)
+      return res
+        .status(400)
+        .json({ success: false, error: "Too many attempts" });
+
+    // Only one request can move the code from pending, so a code is never
+    // accepted twice
+    if (verifyPassword(String(code).trim(), otp.codeHash)) {
+      const verified = await OtpCode.findOneAndUpdate(
+        { _id: otp._id, status: "pending" },
+        { status: "verified", verifiedAt: new Date() }
+      );
+      if (!verified)
+        return res
+          .status(400)
+          .json({ success: false, error: "No active code for this number" });
+      return res.json({ success: true, verified: true });
+    }
+
+    const attemptsLeft = otp.maxAttempts - otp.attempts;
+    if (attemptsLeft <= 0)
+      await OtpCode.updateOne(
+        { _id: otp._id, status: "pending" },
+        { status: "failed" }
+      );
+    res.status(400).json({
+      success: false,
+      verified: false,
+      error: attemptsLeft > 0 ? "Invalid code" : "Too many attempts",
+      attemptsLeft,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Scheduled single messages and campaigns that have not started yet
+app.get("/api/scheduled", requireScope("read"), async (req, res) => {
+  const filter = { status: "scheduled" };
+  if (req.query.accountId) filter.accountId = req.query.accountId;
+  scopeToAccounts(req, filter);
+
+  try {
+    const [messages, campaigns] = await Promise.all([
+      ScheduledMessage.find(filter).sort({ scheduledAt: 1 }).limit(500),
+      Campaign.find(filter).sort({ scheduledAt: 1 }),
+    ]);
+    res.json({ success: true, messages, campaigns });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Scheduled campaigns are cancelled through /api/campaigns/:id/cancel
+app.post(
+  "/api/scheduled/:id/cancel",
+  requireScope("send"),
+  async (req, res) => {
+    try {
+      const existing = await ScheduledMessage.findById(req.params.id);
+      if (!existing)
+        return res
+          .status(404)
+          .json({ success: false, error: "Scheduled message not found" });
+      if (!checkAccount(req, res, existing.accountId)) return;
+
+      const scheduled = await ScheduledMessage.findOneAndUpdate(
+        { _id: existing._id, status: "scheduled" },
+        { status: "cancelled" },
+        { new: true }
+      );
+      if (!scheduled)
+        return res.status(400).json({
+          success: false,
+          error: `Cannot cancel a ${existing.status} message`,
+        });
+      res.json({ success: true, scheduled });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// File upload
+app.post("/api/upload", requireScope("send"), (req, res) => {
+  if (!req.files || !req.files.file) {
+    return res.status(400).json({ success: false, error: "No file uploaded" });
+  }
+
+  const file = req.files.file;
+  const uploadDir = path.join(__dirname, "uploads");
+
+  if (!fs.existsSync(uploadDir)) {
+    fs.mkdirSync(uploadDir, { recursive: true });
+  }
+
+  const filename = `${Date.now()}-${file.name}`;
+  const filepath = path.join(uploadDir, filename);
+
+  file.mv(filepath, (err) => {
+    if (err) {
+      console.error("Error uploading file:", err);
+      return res
+        .status(500)
+        .json({ success: false, error: "Failed to upload file" });
+    }
+
+    res.json({
+      success: true,
+      url: `/uploads/${filename}`,
+      originalName: file.name,
+    });
+  });
+});
+
+// Parses an uploaded recipients sheet. Without a phoneColumn the column is
+// guessed; the response always carries the columns and a few sample rows so
+// the caller can correct the mapping and upload again.
+app.post("/api/recipients/import", requireScope("send"), async (req, res) => {
+  if (!req.files || !req.files.file)
+    return res.status(400).json({ success: false, error: "No file uploaded" });
+
+  let variables = req.body.variables;
+  if (typeof variables === "string" && variables) {
+    try {
+      variables = JSON.parse(variables);
+    } catch (err) {
+      return res
+        .status(400)
+        .json({ success: false, error: "Variables must be a JSON object" });
+    }
+  }
+  if (variables && (typeof variables !== "object" || Array.isArray(variables)))
+    return res
+      .status(400)
+      .json({ success: false, error: "Variables must be a JSON object" });
+  const { country } = req.body;
+  if (country && !isValidCountry(country))
+    return res
+      .status(400)
+      .json({ success: false, error: `Unknown country code ${country}` });
+  const accountId = req.body.accountId || "default";
+  if (!checkAccount(req, res, accountId)) return;
+
+  let sheet;
+  try {
+    sheet = readSheet(req.files.file.data);
+  } catch (err) {
+    return res
+      .status(400)
+      .json({ success: false, error: `Could not read file: ${err.message}` });
+  }
+  const { columns, rows } = sheet;
+
+  const unknown = [
+    req.body.phoneColumn,
+    ...Object.values(variables || {}),
+  ].filter((c) => c && !columns.includes(c));
+  if (unknown.length)
+    return res.status(400).json({
+      success: false,
+      error: `Unknown columns: ${unknown.join(", ")}`,
+      columns,
+    });
+
+  try {
+    const region = await resolveCountry(country, accountId);
+    const phoneColumn =
+      req.body.phoneColumn || detectPhoneColumn(columns, rows, region);
+    const result = {
+      success: true,
+      columns,
+      sampleRows: rows.slice(0, SAMPLE_SIZE),
+      rowCount: rows.length,
+      phoneColumn,
+    };
+    if (!phoneColumn) return res.json(result);
+
+    const mapped = mapRecipients(rows, {
+      phoneColumn,
+      variables,
+      country: region,
+      dedupe: req.body.dedupe !== "false" && req.body.dedupe !== false,
+    });
+    res.json({ ...result, ...mapped });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Media library
+const escapeRegex = (text) =>
+  String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+app.get("/api/media", requireScope("read"), async (req, res) => {
+  const filter = {};
+  if (req.query.q)
+    filter.name = { $regex: escapeRegex(req.query.q), $options: "i" };
+  if (req.query.type)
+    filter.mimeType = { $regex: `^${escapeRegex(req.query.type)}/` };
+
+  try {
+    const items = await MediaItem.find(filter).sort({ createdAt: -1 });
+    res.json({ success: true, items });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.post("/api/media", requireScope("manage-templates"), async (req, res) => {
+  if (!req.files || !req.files.file)
+    return res.status(400).json({ success: false, error: "No file uploaded" });
+
+  const file = req.files.file;
+  const checksum = crypto.createHash("sha256").update(file.data).digest("hex");
+
+  try {
+    // The same file uploaded twice is one library item
+    const existing = await MediaItem.findOne({ checksum });
+    if (existing) return res.json({ success: true, item: existing });
+
+    const filename = `${Date.now()}-${file.name}`;
+    await file.mv(path.join(__dirname, "uploads", filename));
+    const item = await new MediaItem({
+      name: req.body.name || file.name,
+      filename,
+      url: `/uploads/${filename}`,
+      mimeType:
+        mime.lookup(file.name) || file.mimetype || "application/octet-stream",
+      size: file.size,
+      checksum,
+      uploadedBy: req.auth.name,
+    }).save();
+    res.json({ success: true, item });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.put(
+  "/api/media/:id",
+  requireScope("manage-templates"),
+  async (req, res) => {
+    if (!req.body.name)
+      return res
+        .status(400)
+        .json({ success: false, error: "Name is required" });
+
+    try {
+      const item = await MediaItem.findByIdAndUpdate(
+        req.params.id,
+        { name: req.body.name },
+        { new: true }
+      );
+      if (!item)
+        return res
+          .status(404)
+          .json({ success: false, error: "Media item not found" });
+      res.json({ success: true, item });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+app.delete(
+  "/api/media/:id",
+  requireScope("manage-templates"),
+  async (req, res) => {
+    try {
+      const item = await MediaItem.findById(req.params.id);
+      if (!item)
+        return res
+          .status(404)
+          .json({ success: false, error: "Media item not found" });
+
+      const inUse = await Template.find({ attachments: item._id }).select(
+        "name"
+      );
+      if (inUse.length)
+        return res.status(400).json({
+          success: false,
+          error: `Still attached to templates: ${inUse
+            .map((t) => t.name)
+            .join(", ")}`,
+        });
+
+      await item.deleteOne();
+      fs.rm(
+        path.join(__dirname, "uploads", item.filename),
+        { force: true },
+        () => {}
+      );
+      res.json({ success: true, message: "Media item deleted" });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+app.post("/api/numbers/check", requireScope("send"), async (req, res) => {
+  const { numbers, country, refresh } = req.body;
+  const accountId = req.body.accountId || "default";
+
+  if (!Array.isArray(numbers) || numbers.length === 0)
+    return res
+      .status(400)
+      .json({ success: false, error: "Numbers list is required" });
+  if (numbers.length > NUMBER_CHECK_MAX)
+    return res.status(400).json({
+      success: false,
+      error: `At most ${NUMBER_CHECK_MAX} numbers per request`,
+    });
+  if (country && !isValidCountry(country))
+    return res
+      .status(400)
+      .json({ success: false, error: `Unknown country code ${country}` });
+  if (!checkAccount(req, res, accountId)) return;
+
+  const client = whatsappClients[accountId];
+  if (!client || !client.isReady)
+    return res.status(400).json({
+      success: false,
+      error: `Client for ${accountId} not initialized or not ready. Please scan the QR code first.`,
+    });
+
+  try {
+    const region = await resolveCountry(country, accountId);
+    const normalized = numbers.map((input) => ({
+      input,
+      ...normalizePhone(input, region),
+    }));
+    const checked = await checkNumbers(
+      client,
+      accountId,
+      normalized.filter((n) => n.valid).map((n) => n.phone),
+      Boolean(refresh)
+    );
+
+    const results = normalized.map((n) =>
+      n.valid
+        ? {
+            input: n.input,
+            phone: n.phone,
+            valid: true,
+            ...checked.get(n.phone),
+          }
+        : { input: n.input, valid: false, reason: n.reason }
+    );
+    const summary = {
+      total: results.length,
+      registered: results.filter((r) => r.registered).length,
+      unregistered: results.filter((r) => r.registered === false).length,
+      invalid: results.filter((r) => !r.valid).length,
+      errors: results.filter((r) => r.error).length,
+    };
+    res.json({ success: true, summary, results });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Get message templates
+app.get("/api/templates", requireScope("read"), async (req, res) => {
+  const filter = {};
+  if (req.query.category) filter.category = req.query.category;
+  if (req.query.tag) filter.tags = req.query.tag;
+  if (req.query.language) filter.language = req.query.language;
+
+  try {
+    const templates = await Template.find(filter)
+      .select("-versions")
+      .populate("attachments", "name url mimeType size")
+      .sort({ createdAt: -1 });
+    res.json({ success: true, templates });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Renders a template against sample rows so previews match what gets sent
+app.post("/api/templates/render", requireScope("read"), (req, res) => {
+  const { content, strict } = req.body;
+  const rows = Array.isArray(req.body.rows)
+    ? req.body.rows.slice(0, 50)
+    : [req.body.variables || {}];
+  if (!content)
+    return res
+      .status(400)
+      .json({ success: false, error: "Template content is required" });
+  const compiled = compileOrReject(res, content);
+  if (!compiled) return;
+
+  const results = rows.map((row) => renderMessage(compiled, row, strict));
+  res.json({
+    success: true,
+    variables: templateVariables(content),
+    results,
+  });
+});
+
+app.post(
+  "/api/templates",
+  requireScope("manage-templates"),
+  async (req, res) => {
+    const { name, content, category, samples } = req.body;
+    if (!name || !content)
+      return res
+        .status(400)
+        .json({ success: false, error: "Name and content required" });
+    const language = parseLanguage(res, req.body.language);
+    if (language === null) return;
+    if (!compileOrReject(res, content)) return;
+
+    try {
+      const attachments = await findMediaItems(res, req.body.attachments);
+      if (!attachments) return;
+      const newTemplate = new Template({
+        name,
+        content,
+        category: category || undefined,
+        tags: parseTags(req.body.tags),
+        language,
+        variables: declareVariables(content, samples),
+        attachments: attachments.map((item) => item._id),
+      });
+      snapshotTemplate(newTemplate, req.auth.name);
+      await newTemplate.save();
+      res.json({ success: true, template: newTemplate });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// Saving records a new version whenever anything but the samples changed;
+// earlier versions stay available for audit and restore.
+app.put(
+  "/api/templates/:id",
+  requireScope("manage-templates"),
+  async (req, res) => {
+    const { id } = req.params;
+    const { name, content, category, samples } = req.body;
+    if (!name || !content)
+      return res
+        .status(400)
+        .json({ success: false, error: "Name and content required" });
+    const language = parseLanguage(res, req.body.language);
+    if (language === null) return;
+    if (!compileOrReject(res, content)) return;
+
+    try {
+      const template = await Template.findById(id);
+      if (!template)
+        return res
+          .status(404)
+          .json({ success: false, error: "Template not found" });
+
+      // Templates saved before versioning have no history; keep what they
+      // held up to now as version 1 so the edit does not lose it
+      if (!template.versions.length)
+        snapshotTemplate(template, undefined, template.updatedAt);
+      const before = templateFingerprint(template);
+      template.name = name;
+      template.content = content;
+      if (category !== undefined) template.category = category || undefined;
+      if (req.body.tags !== undefined) template.tags = parseTags(req.body.tags);
+      if (req.body.language !== undefined) template.language = language;
+      if (req.body.attachments !== undefined) {
+        const attachments = await findMediaItems(res, req.body.attachments);
+        if (!attachments) return;
+        template.attachments = attachments.map((item) => item._id);
+      }
+      template.variables = declareVariables(
+        content,
+        samples,
+        template.variables
+      );
+      template.updatedAt = new Date();
+      if (templateFingerprint(template) !== before) {
+        template.version += 1;
+        snapshotTemplate(template, req.auth.name);
+      }
+      await template.save();
+      res.json({ success: true, template });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+app.get(
+  "/api/templates/:id/versions",
+  requireScope("read"),
+  async (req, res) => {
+    try {
+      const template = await Template.findById(req.params.id);
+      if (!template)
+        return res
+          .status(404)
+          .json({ success: false, error: "Template not found" });
+      const versions = [...template.versions].reverse();
+      res.json({ success: true, version: template.version, versions });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// Restoring copies an old version forward as the newest one
+app.post(
+  "/api/templates/:id/versions/:version/restore",
+  requireScope("manage-templates"),
+  async (req, res) => {
+    try {
+      const template = await Template.findById(req.params.id);
+      if (!template)
+        return res
+          .status(404)
+          .json({ success: false, error: "Template not found" });
+      const snapshot = template.versions.find(
+        (v) => v.version === Number(req.params.version)
+      );
+      if (!snapshot)
+        return res
+          .status(404)
+          .json({ success: false, error: "Version not found" });
+
+      for (const field of ["name", "content", "category", "language"])
+        template[field] = snapshot[field];
+      template.tags = snapshot.tags;
+      template.variables = snapshot.variables;
+      template.attachments = snapshot.attachments;
+      template.version += 1;
+      template.updatedAt = new Date();
+      snapshotTemplate(template, req.auth.name);
+      await template.save();
+      res.json({ success: true, template });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+app.delete(
+  "/api/templates/:id",
+  requireScope("manage-templates"),
+  async (req, res) => {
+    try {
+      const deleted = await Template.findByIdAndDelete(req.params.id);
+      if (!deleted)
+        return res
+          .status(404)
+          .json({ success: false, error: "Template not found" });
+      res.json({ success: true, message: "Template deleted" });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// Message history
+app.get("/api/messages", requireScope("read"), async (req, res) => {
+  const { accountId, phone, status, direction, campaignId, from, to } =
+    req.query;
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+
+  const filter = {};
+  if (accountId) filter.accountId = accountId;
+  if (status) filter.status = status;
+  if (direction) filter.direction = direction;
+  if (campaignId) filter.campaignId = campaignId;
+  if (phone) {
+    const digits = String(phone).replace(/\D/g, "");
+    if (digits) filter.phone = { $regex: digits };
+  }
+  if (from || to) {
+    filter.timestamp = {};
+    if (from) filter.timestamp.$gte = new Date(from);
+    if (to) filter.timestamp.$lte = new Date(to);
+    if (Object.values(filter.timestamp).some((d) => Number.isNaN(d.getTime())))
+      return res
+        .status(400)
+        .json({ success: false, error: "Invalid date range" });
+  }
+  scopeToAccounts(req, filter);
+
+  try {
+    const [messages, total] = await Promise.all([
+      Message.find(filter)
+        .sort({ timestamp: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Message.countDocuments(filter),
+    ]);
+    res.json({ success: true, messages, total, page, limit });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Inbox: every phone that wrote to an account, newest first
+app.get("/api/conversations", requireScope("read"), async (req, res) => {
+  const { accountId } = req.query;
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+  try {
+    const conversations = await Message.aggregate([
+      { $match: scopeToAccounts(req, accountId ? { accountId } : {}) },
+      { $sort: { timestamp: -1 } },
+      {
+        $group: {
+          _id: { accountId: "$accountId", phone: "$phone" },
+          lastMessage: { $first: "$message" },
+          lastDirection: { $first: "$direction" },
+          lastAt: { $first: "$timestamp" },
+          messages: { $sum: 1 },
+          inbound: {
+            $sum: { $cond: [{ $eq: ["$direction", "inbound"] }, 1, 0] },
+          },
+        },
+      },
+      // Numbers that never answered are campaign history, not conversations
+      { $match: { inbound: { $gt: 0 } } },
+      { $sort: { lastAt: -1 } },
+      { $skip: (page - 1) * limit },
+      { $limit: limit },
+      {
+        $project: {
+          _id: 0,
+          accountId: "$_id.accountId",
+          phone: "$_id.phone",
+          lastMessage: 1,
+          lastDirection: 1,
+          lastAt: 1,
+          messages: 1,
+          inbound: 1,
+        },
+      },
+    ]);
+    res.json({ success: true, conversations, page, limit });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.get("/api/conversations/:phone", requireScope("read"), async (req, res) => {
+  const phone = req.params.phone.replace(/\D/g, "");
+  const filter = { phone };
+  if (req.query.accountId) filter.accountId = req.query.accountId;
+  scopeToAccounts(req, filter);
+  const limit = Math.min(
+    Math.max(parseInt(req.query.limit, 10) || 100, 1),
+    500
+  );
+
+  try {
+    const messages = await Message.find(filter)
+      .sort({ timestamp: -1 })
+      .limit(limit);
+    res.json({ success: true, phone, messages: messages.reverse() });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.post(
+  "/api/conversations/:phone/reply",
+  requireScope("send"),
+  async (req, res) => {
+    const phone = req.params.phone.replace(/\D/g, "");
+    const { message, media } = req.body;
+    const accountId = req.body.accountId || "default";
+
+    if (!message && !media?.url)
+      return res
+        .status(400)
+        .json({ success: false, error: "Message or media is required" });
+    if (!checkAccount(req, res, accountId)) return;
+
+    const client = whatsappClients[accountId];
+    if (!client || !client.isReady)
+      return res.status(400).json({
+        success: false,
+        error: `Client for ${accountId} not initialized or not ready. Please scan the QR code first.`,
+      });
+
+    try {
+      const response = await sendWhatsAppMessage(client, {
+        phone,
+        message,
+        media,
+      });
+      res.json({
+        success: true,
+        message: "Reply sent",
+        messageId: response?.id?._serialized,
+      });
+    } catch (err) {
+      sendFailure(res, err);
+    }
+  }
+);
+
+// Contacts and lists
+const CONTACT_FIELDS = ["name", "attributes", "tags", "lists"];
+
+function parseAttributes(attributes) {
+  return attributes &&
+    typeof attributes === "object" &&
+    !Array.isArray(attributes)
+    ? attributes
+    : {};
+}
+
+// Checks that every list id exists; answers 400 and returns null otherwise
+async function findContactLists(res, ids) {
+  if (!Array.isArray(ids)) ids = ids ? [ids] : [];
+  const valid = ids.every((id) => mongoose.isValidObjectId(id));
+  const count = valid
+    ? await ContactList.countDocuments({ _id: { $in: ids } })
+    : 0;
+  if (count !== new Set(ids.map(String)).size) {
+    res.status(400).json({ success: false, error: "Unknown contact list" });
+    return null;
+  }
+  return ids;
+}
+
+// Contacts matching a list and/or tags become campaign recipient rows; their
+// attributes are the template variables, with name and phone alongside. The
+// contact's own phone always comes first so no attribute can stand in for it.
+async function resolveAudience({ listId, tags, match }) {
+  const filter = {};
+  if (listId) filter.lists = listId;
+  const wanted = parseTags(tags);
+  if (wanted.length)
+    filter.tags = match === "all" ? { $all: wanted } : { $in: wanted };
+  const contacts = await Contact.find(filter).sort({ createdAt: 1 });
+  return contacts.map((contact) => {
+    const row = { phone: contact.phone };
+    for (const [key, value] of Object.entries(contact.attributes || {}))
+      if (key.trim().toLowerCase() !== "phone") row[key] = value;
+    if (contact.name) row.name = contact.name;
+    return row;
+  });
+}
+
+// Contacts used to store E.164 digits without the "+"; bring those in line
+async function migrateContactPhones() {
+  try {
+    const { modifiedCount } = await Contact.updateMany({ phone: /^\d/ }, [
+      { $set: { phone: { $concat: ["+", "$phone"] } } },
+    ]);
+    if (modifiedCount)
+      console.log(`Added "+" to ${modifiedCount} contact phone numbers`);
+  } catch (err) {
+    console.error("Failed to migrate contact phone numbers:", err);
+  }
+}
+
+app.get("/api/contacts", requireScope("read"), async (req, res) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+  const filter = {};
+  if (req.query.q) {
+    const q = escapeRegex(req.query.q);
+    filter.$or = [
+      { name: { $regex: q, $options: "i" } },
+      { phone: { $regex: q } },
+    ];
+  }
+  if (req.query.tag) filter.tags = req.query.tag;
+  if (req.query.listId) {
+    if (!mongoose.isValidObjectId(req.query.listId))
+      return res.status(400).json({ success: false, error: "Invalid list id" });
+    filter.lists = req.query.listId;
+  }
+
+  try {
+    const [contacts, total] = await Promise.all([
+      Contact.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Contact.countDocuments(filter),
+    ]);
+    res.json({ success: true, contacts, total, page, limit });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.post("/api/contacts", requireScope("manage-contacts"), async (req, res) => {
+  const { phone, name, attributes, country } = req.body;
+  if (!phone)
+    return res
+      .status(400)
+      .json({ success: false, error: "Phone number is required" });
+  if (country && !isValidCountry(country))
+    return res
+      .status(400)
+      .json({ success: false, error: `Unknown country code ${country}` });
+
+  try {
+    const normalized = normalizePhone(phone, country || defaultCountry());
+    if (!normalized.valid)
+      return res.status(400).json({
+        success: false,
+        error: `Invalid phone number: ${normalized.reason}`,
+        reason: normalized.reason,
+      });
+    if (await Contact.findOne({ phone: normalized.e164 }))
+      return res
+        .status(400)
+        .json({ success: false, error: "Contact already exists" });
+    const lists = await findContactLists(res, req.body.lists);
+    if (!lists) return;
+
+    const contact = await Contact.create({
+      phone: normalized.e164,
+      name,
+      attributes: parseAttributes(attributes),
+      tags: parseTags(req.body.tags),
+      lists,
+    });
+    res.json({ success: true, contact });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Saves imported recipient rows as contacts: the phone is the key, every other
+// column (an "Order Number" too) becomes an attribute. Existing contacts get
+// their attributes merged and the tags/list added.
+app.post(
+  "/api/contacts/bulk",
+  requireScope("manage-contacts"),
+  async (req, res) => {
+    const { contacts, country } = req.body;
+    if (!Array.isArray(contacts) || contacts.length === 0)
+      return res
+        .status(400)
+        .json({ success: false, error: "Contacts list is required" });
+    if (country && !isValidCountry(country))
+      return res
+        .status(400)
+        .json({ success: false, error: `Unknown country code ${country}` });
+
+    try {
+      const lists = await findContactLists(res, req.body.listId);
+      if (!lists) return;
+      const tags = parseTags(req.body.tags);
+      const region = country || defaultCountry();
+
+      const invalid = [];
+      const operations = [];
+      contacts.forEach((row, index) => {
+        const phoneKey = findPhoneKey(row);
+        const normalized = normalizePhone(findRecipientPhone(row), region);
+        if (!normalized.valid) {
+          invalid.push({
+            index,
+            reason: normalized.reason || "No phone number",
+          });
+          return;
+        }
+        const set = { updatedAt: new Date() };
+        for (const [key, value] of Object.entries(row)) {
+          if (key === phoneKey) continue;
+          if (/^name$/i.test(key)) set.name = value;
+          // Dots and "$" would be read as paths/operators by MongoDB
+          else set[`attributes.${key.replace(/[.$]/g, "_")}`] = value;
+        }
+        operations.push({
+          updateOne: {
+            filter: { phone: normalized.e164 },
+            update: {
+              $set: set,
+              $addToSet: { tags: { $each: tags }, lists: { $each: lists } },
+              $setOnInsert: { createdAt: new Date() },
+            },
+            upsert: true,
+          },
+        });
+      });
+
+      const result = operations.length
+        ? await Contact.bulkWrite(operations, { ordered: false })
+        : { upsertedCount: 0, modifiedCount: 0 };
+      res.json({
+        success: true,
+        created: result.upsertedCount,
+        updated: result.modifiedCount,
+        invalid,
+      });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// Adds and/or removes tags on several contacts at once
+app.post(
+  "/api/contacts/tags",
+  requireScope("manage-contacts"),
+  async (req, res) => {
+    const { contactIds } = req.body;
+    const add = parseTags(req.body.add);
+    const remove = parseTags(req.body.remove);
+    if (!Array.isArray(contactIds) || contactIds.length === 0)
+      return res
+        .status(400)
+        .json({ success: false, error: "Contact ids are required" });
+    if (!add.length && !remove.length)
+      return res
+        .status(400)
+        .json({ success: false, error: "Tags to add or remove are required" });
+
+    try {
+      const filter = { _id: { $in: contactIds } };
+      if (add.length)
+        await Contact.updateMany(filter, {
+          $addToSet: { tags: { $each: add } },
+          updatedAt: new Date(),
+        });
+      if (remove.length)
+        await Contact.updateMany(filter, {
+          $pull: { tags: { $in: remove } },
+          updatedAt: new Date(),
+        });
+      res.json({ success: true });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+app.get("/api/contacts/:id", requireScope("read"), async (req, res) => {
+  try {
+    const contact = await Contact.findById(req.params.id).populate(
+      "lists",
+      "name"
+    );
+    if (!contact)
+      return res
+        .status(404)
+        .json({ success: false, error: "Contact not found" });
+    res.json({ success: true, contact });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Only the fields present in the body are changed; the phone is the
+// contact's identity and stays as created.
+app.put(
+  "/api/contacts/:id",
+  requireScope("manage-contacts"),
+  async (req, res) => {
+    try {
+      const update = { updatedAt: new Date() };
+      for (const field of CONTACT_FIELDS) {
+        if (req.body[field] === undefined) continue;
+        if (field === "attributes")
+          update.attributes = parseAttributes(req.body.attributes);
+        else if (field === "tags") update.tags = parseTags(req.body.tags);
+        else if (field === "lists") {
+          update.lists = await findContactLists(res, req.body.lists);
+          if (!update.lists) return;
+        } else update[field] = req.body[field];
+      }
+
+      const contact = await Contact.findByIdAndUpdate(req.params.id, update, {
+        new: true,
+      });
+      if (!contact)
+        return res
+          .status(404)
+          .json({ success: false, error: "Contact not found" });
+      res.json({ success: true, contact });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+app.delete(
+  "/api/contacts/:id",
+  requireScope("manage-contacts"),
+  async (req, res) => {
+    try {
+      const deleted = await Contact.findByIdAndDelete(req.params.id);
+      if (!deleted)
+        return res
+          .status(404)
+          .json({ success: false, error: "Contact not found" });
+      res.json({ success: true, message: "Contact deleted" });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+app.get("/api/contact-lists", requireScope("read"), async (_req, res) => {
+  try {
+    const [lists, counts] = await Promise.all([
+      ContactList.find().sort({ name: 1 }),
+      Contact.aggregate([
+        { $unwind: "$lists" },
+        { $group: { _id: "$lists", count: { $sum: 1 } } },
+      ]),
+    ]);
+    const sizes = new Map(counts.map((c) => [String(c._id), c.count]));
+    res.json({
+      success: true,
+      lists: lists.map((list) => ({
+        ...list.toObject(),
+        contacts: sizes.get(String(list._id)) || 0,
+      })),
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.post(
+  "/api/contact-lists",
+  requireScope("manage-contacts"),
+  async (req, res) => {
+    const { name, description } = req.body;
+    if (!name)
+      return res
+        .status(400)
+        .json({ success: false, error: "Name is required" });
+
+    try {
+      if (await ContactList.findOne({ name }))
+        return res
+          .status(400)
+          .json({ success: false, error: "List already exists" });
+      const list = await ContactList.create({ name, description });
+      res.json({ success: true, list });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+app.put(
+  "/api/contact-lists/:id",
+  requireScope("manage-contacts"),
+  async (req, res) => {
+    const { name, description } = req.body;
+    if (!name)
+      return res
+        .status(400)
+        .json({ success: false, error: "Name is required" });
+
+    try {
+      const list = await ContactList.findByIdAndUpdate(
+        req.params.id,
+        { name, description, updatedAt: new Date() },
+        { new: true }
+      );
+      if (!list)
+        return res
+          .status(404)
+          .json({ success: false, error: "List not found" });
+      res.json({ success: true, list });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// Deleting a list keeps its contacts, they just stop belonging to it
+app.delete(
+  "/api/contact-lists/:id",
+  requireScope("manage-contacts"),
+  async (req, res) => {
+    try {
+      const list = await ContactList.findByIdAndDelete(req.params.id);
+      if (!list)
+        return res
+          .status(404)
+          .json({ success: false, error: "List not found" });
+      await Contact.updateMany(
+        { lists: list._id },
+        { $pull: { lists: list._id } }
+      );
+      res.json({ success: true, message: "List deleted" });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+app.post(
+  "/api/contact-lists/:id/contacts/:action(add|remove)",
+  requireScope("manage-contacts"),
+  async (req, res) => {
+    const { contactIds } = req.body;
+    if (!Array.isArray(contactIds) || contactIds.length === 0)
+      return res
+        .status(400)
+        .json({ success: false, error: "Contact ids are required" });
+
+    try {
+      const list = await ContactList.findById(req.params.id);
+      if (!list)
+        return res
+          .status(404)
+          .json({ success: false, error: "List not found" });
+      const update =
+        req.params.action === "add"
+          ? { $addToSet: { lists: list._id } }
+          : { $pull: { lists: list._id } };
+      const result = await Contact.updateMany(
+        { _id: { $in: contactIds } },
+        update
+      );
+      res.json({ success: true, modified: result.modifiedCount });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// WhatsApp groups of an account. Management needs the account to be a group
+// admin; WhatsApp's own error comes back when it isn't.
+function groupSummary(chat, me) {
+  const self = chat.participants.find((p) => p.id._serialized === me);
+  return {
+    id: chat.id._serialized,
+    name: chat.name,
+    description: chat.description,
+    participants: chat.participants.length,
+    isAdmin: Boolean(self?.isAdmin || self?.isSuperAdmin),
+    createdAt: chat.createdAt,
+  };
+}
+
+// Answers 400/404 and returns null unless `groupId` is a group the client
+// is in
+async function findGroup(res, client, groupId) {
+  if (!isGroupId(groupId)) {
+    res
+      .status(400)
+      .json({ success: false, error: `Invalid group id ${groupId}` });
+    return null;
+  }
+  // whatsapp-web.js throws for ids it has never seen rather than returning
+  // nothing
+  let chat;
+  try {
+    chat = await client.getChatById(groupId);
+  } catch (err) {
+    chat = null;
+  }
+  if (!chat?.isGroup) {
+    res.status(404).json({ success: false, error: "Group not found" });
+    return null;
+  }
+  return chat;
+}
+
+// Phone numbers from `phones` and/or the contacts of `listId`, as chat ids.
+// Invalid and opted-out numbers are left out and reported back.
+async function groupParticipants({ phones, listId, country }, accountId) {
+  const numbers = Array.isArray(phones) ? [...phones] : [];
+  if (listId)
+    for (const contact of await Contact.find({ lists: listId }, "phone"))
+      numbers.push(contact.phone);
+
+  const region = await resolveCountry(country, accountId);
+  const participants = [];
+  const invalid = [];
+  const suppressed = [];
+  for (const number of numbers) {
+    const normalized = normalizePhone(number, region);
+    if (!normalized.valid)
+      invalid.push({ phone: number, reason: normalized.reason });
+    else if (await isSuppressed(accountId, normalized.phone))
+      suppressed.push(normalized.phone);
+    else if (!participants.includes(toChatId(normalized.phone)))
+      participants.push(toChatId(normalized.phone));
+  }
+  return { participants, invalid, suppressed };
+}
+
+app.get("/api/groups", requireScope("read"), async (req, res) => {
+  const accountId = req.query.accountId || "default";
+  if (!checkAccount(req, res, accountId)) return;
+
+  const client = whatsappClients[accountId];
+  if (!client || !client.isReady)
+    return res.status(400).json({
+      success: false,
+      error: `Client for ${accountId} not initialized or not ready. Please scan the QR code first.`,
+    });
+
+  try {
+    const me = client.info?.wid?._serialized;
+    const groups = (await client.getChats())
+      .filter((chat) => chat.isGroup)
+      .map((chat) => groupSummary(chat, me));
+    res.json({ success: true, groups });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.get("/api/groups/:groupId", requireScope("read"), async (req, res) => {
+  const accountId = req.query.accountId || "default";
+  if (!checkAccount(req, res, accountId)) return;
+
+  const client = whatsappClients[accountId];
+  if (!client || !client.isReady)
+    return res.status(400).json({
+      success: false,
+      error: `Client for ${accountId} not initialized or not ready. Please scan the QR code first.`,
+    });
+
+  try {
+    const chat = await findGroup(res, client, req.params.groupId);
+    if (!chat) return;
+    res.json({
+      success: true,
+      group: groupSummary(chat, client.info?.wid?._serialized),
+      participants: chat.participants.map((p) => ({
+        phone: p.id.user,
+        isAdmin: p.isAdmin,
+        isSuperAdmin: p.isSuperAdmin,
+      })),
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Creates a group from phone numbers and/or a contact list
+app.post("/api/groups", requireScope("manage-contacts"), async (req, res) => {
+  const { name, listId, phones, country } = req.body;
+  const accountId = req.body.accountId || "default";
+  if (!name || !String(name).trim())
+    return res
+      .status(400)
+      .json({ success: false, error: "Group name is required" });
+  if (!listId && !Array.isArray(phones))
+    return res
+      .status(400)
+      .json({ success: false, error: "A contact list or phones are required" });
+  if (listId && !mongoose.isValidObjectId(listId))
+    return res.status(400).json({ success: false, error: "Invalid list id" });
+  if (country && !isValidCountry(country))
+    return res
+      .status(400)
+      .json({ success: false, error: `Unknown country code ${country}` });
+  if (!checkAccount(req, res, accountId)) return;
+
+  const client = whatsappClients[accountId];
+  if (!client || !client.isReady)
+    return res.status(400).json({
+      success: false,
+      error: `Client for ${accountId} not initialized or not ready. Please scan the QR code first.`,
+    });
+
+  try {
+    const { participants, invalid, suppressed } = await groupParticipants(
+      { phones, listId, country },
+      accountId
+    );
+    if (participants.length === 0)
+      return res.status(400).json({
+        success: false,
+        error: "No valid participants",
+        invalid,
+        suppressed,
+      });
+
+    // WhatsApp answers with an error message instead of throwing
+    const result = await client.createGroup(String(name).trim(), participants);
+    if (typeof result === "string")
+      return res.status(400).json({ success: false, error: result });
+    res.json({
+      success: true,
+      group: { id: result.gid._serialized, name: result.title },
+      participants: result.participants,
+      invalid,
+      suppressed,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.post(
+  "/api/groups/:groupId/participants/:action(add|remove)",
+  requireScope("manage-contacts"),
+  async (req, res) => {
+    const { listId, phones, country } = req.body;
+    const accountId = req.body.accountId || "default";
+    if (!listId && !Array.isArray(phones))
+      return res.status(400).json({
+        success: false,
+        error: "A contact list or phones are required",
+      });
+    if (listId && !mongoose.isValidObjectId(listId))
+      return res.status(400).json({ success: false, error: "Invalid list id" });
+    if (country && !isValidCountry(country))
+      return res
+        .status(400)
+        .json({ success: false, error: `Unknown country code ${country}` });
+    if (!checkAccount(req, res, accountId)) return;
+
+    const client = whatsappClients[accountId];
+    if (!client || !client.isReady)
+      return res.status(400).json({
+        success: false,
+        error: `Client for ${accountId} not initialized or not ready. Please scan the QR code first.`,
+      });
+
+    try {
+      const chat = await findGroup(res, client, req.params.groupId);
+      if (!chat) return;
+      const { participants, invalid, suppressed } = await groupParticipants(
+        { phones, listId, country },
+        accountId
+      );
+      // Opting out shouldn't keep someone in a group they are being removed
+      // from
+      if (req.params.action === "remove")
+        participants.push(...suppressed.map(toChatId));
+      if (participants.length === 0)
+        return res.status(400).json({
+          success: false,
+          error: "No valid participants",
+          invalid,
+        });
+
+      const result =
+        req.params.action === "add"
+          ? await chat.addParticipants(participants)
+          : await chat.removeParticipants(participants);
+      if (typeof result === "string")
+        return res.status(400).json({ success: false, error: result });
+      res.json({
+        success: true,
+        result,
+        invalid,
+        suppressed: req.params.action === "add" ? suppressed : [],
+      });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// Bulk campaigns
+app.post("/api/campaigns", requireScope("send"), async (req, res) => {
+  const { name, media, country, templateId, audience } = req.body;
+  let { message, recipients } = req.body;
+  if (req.body.accounts !== undefined && !Array.isArray(req.body.accounts))
+    return res.status(400).json({
+      success: false,
+      error: "Accounts must be a list of account IDs",
+    });
+  // The first account doubles as the campaign's home for progress events
+  const accounts = [
+    ...new Set(
+      [req.body.accountId, ...(req.body.accounts || [])].filter(Boolean)
+    ),
+  ];
+  if (accounts.length === 0) accounts.push("default");
+  const accountId = accounts[0];
+  const strategy = req.body.strategy || "round-robin";
+  const skipUnregistered = Boolean(req.body.skipUnregistered);
+  const strict = Boolean(req.body.strict);
+  const delaySeconds = Math.max(Number(req.body.delaySeconds) || 5, 1);
+
+  // A campaign sent from a saved template remembers the version in effect
+  let template;
+  if (templateId) {
+    if (!mongoose.isValidObjectId(templateId))
+      return res
+        .status(400)
+        .json({ success: false, error: "Invalid template id" });
+    try {
+      template = await Template.findById(templateId).populate("attachments");
+    } catch (err) {
+      return res.status(500).json({ success: false, error: err.message });
+    }
+    if (!template)
+      return res
+        .status(404)
+        .json({ success: false, error: "Template not found" });
+    message = template.content;
+  }
+
+  // Instead of uploaded rows, a campaign can target saved contacts
+  if (audience) {
+    if (!audience.listId && parseTags(audience.tags).length === 0)
+      return res.status(400).json({
+        success: false,
+        error: "Audience needs a listId or tags",
+      });
+    if (audience.listId && !mongoose.isValidObjectId(audience.listId))
+      return res.status(400).json({ success: false, error: "Invalid list id" });
+    try {
+      recipients = await resolveAudience(audience);
+    } catch (err) {
+      return res.status(500).json({ success: false, error: err.message });
+    }
+    if (recipients.length === 0)
+      return res
+        .status(400)
+        .json({ success: false, error: "No contacts match the audience" });
+  }
+
+  // Groups are added as recipients of their own, one message per group
+  const { groups } = req.body;
+  if (groups !== undefined) {
+    if (!Array.isArray(groups) || !groups.every(isGroupId))
+      return res.status(400).json({
+        success: false,
+        error: "Groups must be a list of group ids",
+      });
+    recipients = [
+      ...(Array.isArray(recipients) ? recipients : []),
+      ...groups.map((groupId) => ({ groupId: groupId.trim() })),
+    ];
+  }
+
+  if (!Array.isArray(recipients) || recipients.length === 0)
+    return res
+      .status(400)
+      .json({ success: false, error: "Recipients list is required" });
+  if (!message && !media?.url)
+    return res
+      .status(400)
+      .json({ success: false, error: "Message or media is required" });
+  if (media?.url && !fs.existsSync(path.join(__dirname, media.url)))
+    return res
+      .status(400)
+      .json({ success: false, error: "Media file not found" });
+  if (country && !isValidCountry(country))
+    return res
+      .status(400)
+      .json({ success: false, error: `Unknown country code ${country}` });
+  if (!POOL_STRATEGIES.includes(strategy))
+    return res.status(400).json({
+      success: false,
+      error: `Strategy must be one of ${POOL_STRATEGIES.join(", ")}`,
+    });
+  if (!accounts.every((id) => checkAccount(req, res, id))) return;
+  const compiled = compileOrReject(res, message);
+  if (!compiled) return;
+  const schedule = parseSchedule(res, req.body);
+  if (!schedule) return;
+  const scheduled = schedule.scheduledAt > new Date();
+  const retry = parseRetry(res, req.body.retry);
+  if (!retry) return;
+
+  try {
+    const region = await resolveCountry(country, accountId);
+    const campaign = await new Campaign({
+      name,
+      accountId,
+      accounts: accounts.length > 1 ? accounts : [],
+      strategy,
+      message,
+      media,
+      country: region,
+      delaySeconds,
+      skipUnregistered,
+      strict,
+      retry,
+      templateId: template?._id,
+      templateVersion: template?.version,
+      audience: audience && {
+        listId: audience.listId || undefined,
+        tags: parseTags(audience.tags),
+        match: audience.match === "all" ? "all" : "any",
+      },
+      // Items deleted since the template was saved come back as null
+      attachments: (template?.attachments || [])
+        .filter(Boolean)
+        .map(({ url, name, mimeType }) => ({ url, name, mimeType })),
+      status: scheduled ? "scheduled" : "running",
+      scheduledAt: scheduled ? schedule.scheduledAt : undefined,
+      timezone: schedule.timezone,
+      sendWindow: schedule.sendWindow,
+      total: recipients.length,
+      startedAt: scheduled ? undefined : new Date(),
+    }).save();
+
+    const jobs = recipients.map((row, index) => {
+      const variables = row && typeof row === "object" ? row : {};
+      const groupId = findRecipientGroup(row);
+      const phone = groupId || findRecipientPhone(row);
+      const normalized = groupId
+        ? { valid: true, phone: groupId }
+        : normalizePhone(phone, region);
+      const rendered = renderMessage(compiled, variables, strict);
+      const job = {
+        campaignId: campaign._id,
+        index,
+        phone: normalized.valid ? normalized.phone : phone && String(phone),
+        variables,
+        message: rendered.text,
+      };
+      if (!phone) {
+        job.status = "failed";
+        job.error = "No phone number";
+      } else if (!normalized.valid) {
+        job.status = "failed";
+        job.error = `Invalid phone number: ${normalized.reason}`;
+      } else if (rendered.error) {
+        job.status = "failed";
+        job.error = rendered.error;
+      }
+      return job;
+    });
+    await CampaignJob.insertMany(jobs);
+
+    const missing = jobs.filter((j) => j.status === "failed").length;
+    if (missing) {
+      campaign.failed = missing;
+      await campaign.save();
+    }
+
+    startCampaignClients(campaign);
+    if (!scheduled) runCampaign(campaign._id);
+    res.json({ success: true, campaign });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.get("/api/campaigns", requireScope("read"), async (req, res) => {
+  try {
+    const campaigns = await Campaign.find(scopeToAccounts(req, {}))
+      .sort({ createdAt: -1 })
+      .limit(50);
+    res.json({ success: true, campaigns });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.get("/api/campaigns/:id", requireScope("read"), async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+    if (!campaign)
+      return res
+        .status(404)
+        .json({ success: false, error: "Campaign not found" });
+    if (!checkAccount(req, res, campaign.accountId)) return;
+    const receipts = await campaignReceipts(campaign._id);
+    res.json({ success: true, campaign, receipts });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+const CAMPAIGN_ACTIONS = {
+  pause: { from: ["running"], to: "paused" },
+  resume: { from: ["paused"], to: "running" },
+  cancel: { from: ["scheduled", "running", "paused"], to: "cancelled" },
+};
+
+// Pause, resume or cancel a campaign. The worker re-reads the status before
+// every send, so a pause takes effect after the message currently in flight.
+app.post(
+  "/api/campaigns/:id/:action(pause|resume|cancel)",
+  requireScope("send"),
+  async (req, res) => {
+    const { id, action } = req.params;
+    const { from, to } = CAMPAIGN_ACTIONS[action];
+
+    try {
+      const existing = await Campaign.findById(id);
+      if (!existing)
+        return res
+          .status(404)
+          .json({ success: false, error: "Campaign not found" });
+      if (!checkAccount(req, res, existing.accountId)) return;
+
+      const update = { status: to };
+      if (to === "cancelled") update.completedAt = new Date();
+
+      const campaign = await Campaign.findOneAndUpdate(
+        { _id: id, status: { $in: from } },
+        update,
+        { new: true }
+      );
+      if (!campaign)
+        return res.status(400).json({
+          success: false,
+          error: `Cannot ${action} a ${existing.status} campaign`,
+        });
+
+      if (to === "cancelled") {
+        await CampaignJob.updateMany(
+          { campaignId: campaign._id, status: "pending" },
+          { status: "cancelled" }
+        );
+      }
+      if (to === "running" && !activeCampaigns.has(String(campaign._id))) {
+        await requeueInterruptedJobs(campaign._id);
+        startCampaignClients(campaign);
+        runCampaign(campaign._id);
+      }
+
+      broadcast(
+        campaign.accountId,
+        "campaign_progress",
+        campaignProgress(campaign)
+      );
+      res.json({ success: true, campaign });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// Re-queues the failures of a finished campaign. Rows rejected before sending
+// (bad number, missing variables) are left alone since nothing changed them.
+// Attachments a job already delivered are not sent again (see
+// CampaignJob.messageIds).
+app.post(
+  "/api/campaigns/:id/retry-failed",
+  requireScope("send"),
+  async (req, res) => {
+    try {
+      const existing = await Campaign.findById(req.params.id);
+      if (!existing)
+        return res
+          .status(404)
+          .json({ success: false, error: "Campaign not found" });
+      if (!checkAccount(req, res, existing.accountId)) return;
+      if (!["completed", "cancelled"].includes(existing.status))
+        return res.status(400).json({
+          success: false,
+          error: `Cannot retry a ${existing.status} campaign`,
+        });
+
+      const retryable = {
+        campaignId: existing._id,
+        status: "failed",
+        attempts: { $gt: 0 },
+      };
+      if ((await CampaignJob.countDocuments(retryable)) === 0)
+        return res
+          .status(400)
+          .json({ success: false, error: "No failed sends to retry" });
+
+      // Claim the campaign first so a concurrent retry can't queue twice
+      let campaign = await Campaign.findOneAndUpdate(
+        { _id: existing._id, status: existing.status },
+        { status: "running", $unset: { completedAt: 1 } }
+      );
+      if (!campaign)
+        return res
+          .status(409)
+          .json({ success: false, error: "Campaign changed, try again" });
+
+      const { modifiedCount } = await CampaignJob.updateMany(retryable, {
+        status: "pending",
+        attempts: 0,
+        $unset: { error: 1, notBefore: 1 },
+      });
+      campaign = await Campaign.findByIdAndUpdate(
+        existing._id,
+        { $inc: { failed: -modifiedCount } },
+        { new: true }
+      );
+      startCampaignClients(campaign);
+      runCampaign(campaign._id);
+
+      broadcast(
+        campaign.accountId,
+        "campaign_progress",
+        campaignProgress(campaign)
+      );
+      res.json({ success: true, campaign, requeued: modifiedCount });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// Dead letters: campaign rows that failed for good, either rejected before
+// sending or out of retry attempts
+app.get("/api/dead-letters", requireScope("read"), async (req, res) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+
+  try {
+    const campaignFilter = scopeToAccounts(req, {});
+    if (req.query.accountId) {
+      if (!checkAccount(req, res, req.query.accountId)) return;
+      campaignFilter.accountId = req.query.accountId;
+    }
+    if (req.query.campaignId) {
+      if (!mongoose.isValidObjectId(req.query.campaignId))
+        return res
+          .status(400)
+          .json({ success: false, error: "Invalid campaign id" });
+      campaignFilter._id = req.query.campaignId;
+    }
+    const campaignIds = await Campaign.distinct("_id", campaignFilter);
+
+    const filter = { campaignId: { $in: campaignIds }, status: "failed" };
+    const [jobs, total] = await Promise.all([
+      CampaignJob.find(filter)
+        .sort({ _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("campaignId", "name accountId status"),
+      CampaignJob.countDocuments(filter),
+    ]);
+    res.json({ success: true, jobs, total, page, limit });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.get("/api/campaigns/:id/jobs", requireScope("read"), async (req, res) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+  const filter = { campaignId: req.params.id };
+  if (req.query.status) filter.status = req.query.status;
+
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+    if (!campaign)
+      return res
+        .status(404)
+        .json({ success: false, error: "Campaign not found" });
+    if (!checkAccount(req, res, campaign.accountId)) return;
+
+    const [jobs, total] = await Promise.all([
+      CampaignJob.find(filter)
+        .sort({ index: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      CampaignJob.countDocuments(filter),
+    ]);
+    res.json({ success: true, jobs, total, page, limit });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Suppression list. Entries without an accountId apply to every account.
+// Like scopeToAccounts, but global entries (accountId null) are always visible
+function suppressionFilter(req) {
+  const filter = {};
+  if (req.query.phone)
+    filter.phone = String(req.query.phone).replace(/\D/g, "");
+  const allowed = req.auth.accountIds.length
+    ? [null, ...req.auth.accountIds]
+    : null;
+  if (req.query.accountId !== undefined) {
+    const accountId = req.query.accountId || null;
+    filter.accountId =
+      allowed && !allowed.includes(accountId) ? { $in: [] } : accountId;
+  } else if (allowed) {
+    filter.accountId = { $in: allowed };
+  }
+  return filter;
+}
+
+// Global entries reach every account, so only unrestricted keys may change
+// them; answers 403 otherwise
+function checkSuppressionAccount(req, res, accountId) {
+  if (accountId) return checkAccount(req, res, accountId);
+  if (!isRestricted(req)) return true;
+  res.status(403).json({
+    success: false,
+    error: "Not allowed to change global suppressions",
+  });
+  return false;
+}
+
+app.get("/api/suppressions", requireScope("read"), async (req, res) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+  const filter = suppressionFilter(req);
+
+  try {
+    const [suppressions, total] = await Promise.all([
+      Suppression.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Suppression.countDocuments(filter),
+    ]);
+    res.json({ success: true, suppressions, total, page, limit });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.get("/api/suppressions/export", requireScope("read"), async (req, res) => {
+  try {
+    const suppressions = await Suppression.find(suppressionFilter(req)).sort({
+      createdAt: 1,
+    });
+    const csvCell = (value) => `"${String(value ?? "").replace(/"/g, '""')}"`;
+    const lines = [
+      "phone,accountId,source,keyword,note,createdAt",
+      ...suppressions.map((s) =>
+        [
+          s.phone,
+          s.accountId,
+          s.source,
+          s.keyword,
+          s.note,
+          s.createdAt.toISOString(),
+        ]
+          .map(csvCell)
+          .join(",")
+      ),
+    ];
+    res.attachment("suppressions.csv");
+    res.type("text/csv").send(lines.join("\n"));
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.post(
+  "/api/suppressions",
+  requireScope("manage-contacts"),
+  async (req, res) => {
+    const { phone, note, country } = req.body;
+    const accountId = req.body.accountId || null;
+    if (!phone)
+      return res
+        .status(400)
+        .json({ success: false, error: "Phone number is required" });
+    if (country && !isValidCountry(country))
+      return res
+        .status(400)
+        .json({ success: false, error: `Unknown country code ${country}` });
+    if (!checkSuppressionAccount(req, res, accountId)) return;
+
+    try {
+      const normalized = normalizePhone(
+        phone,
+        await resolveCountry(country, accountId)
+      );
+      if (!normalized.valid)
+        return res.status(400).json({
+          success: false,
+          error: `Invalid phone number: ${normalized.reason}`,
+          reason: normalized.reason,
+        });
+      const suppression = await Suppression.findOneAndUpdate(
+        { phone: normalized.phone, accountId },
+        {
+          $setOnInsert: { source: "manual", note, createdBy: req.auth.name },
+        },
+        { upsert: true, new: true }
+      );
+      res.json({ success: true, suppression });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// Accepts a CSV/XLSX upload (phone column guessed or given as phoneColumn)
+// or a JSON body with a phones array.
+app.post(
+  "/api/suppressions/import",
+  requireScope("manage-contacts"),
+  async (req, res) => {
+    const { country, note } = req.body;
+    const accountId = req.body.accountId || null;
+    if (country && !isValidCountry(country))
+      return res
+        .status(400)
+        .json({ success: false, error: `Unknown country code ${country}` });
+    if (!checkSuppressionAccount(req, res, accountId)) return;
+
+    let phones = req.body.phones;
+    if (req.files && req.files.file) {
+      try {
+        const { columns, rows } = readSheet(req.files.file.data);
+        const region = await resolveCountry(country, accountId);
+        const column =
+          req.body.phoneColumn || detectPhoneColumn(columns, rows, region);
+        if (!column || !columns.includes(column))
+          return res.status(400).json({
+            success: false,
+            error: "Could not find the phone number column",
+            columns,
+          });
+        phones = rows.map((row) => row[column]);
+      } catch (err) {
+        return res.status(400).json({
+          success: false,
+          error: `Could not read file: ${err.message}`,
+        });
+      }
+    }
+    if (!Array.isArray(phones) || phones.length === 0)
+      return res
+        .status(400)
+        .json({ success: false, error: "A file or phones list is required" });
+
+    try {
+      const region = await resolveCountry(country, accountId);
+      const invalid = [];
+      const numbers = new Set();
+      phones.forEach((phone, index) => {
+        const normalized = normalizePhone(phone, region);
+        if (normalized.valid) numbers.add(normalized.phone);
+        else
+          invalid.push({
+            index,
+            value: String(phone ?? ""),
+            reason: normalized.reason || "No phone number",
+          });
+      });
+
+      const result = numbers.size
+        ? await Suppression.bulkWrite(
+            [...numbers].map((phone) => ({
+              updateOne: {
+                filter: { phone, accountId },
+                update: {
+                  $setOnInsert: {
+                    source: "import",
+                    note,
+                    createdBy: req.auth.name,
+                    createdAt: new Date(),
+                  },
+                },
+                upsert: true,
+              },
+            })),
+            { ordered: false }
+          )
+        : { upsertedCount: 0 };
+      res.json({
+        success: true,
+        added: result.upsertedCount,
+        existing: numbers.size - result.upsertedCount,
+        invalid,
+      });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+app.delete(
+  "/api/suppressions/:id",
+  requireScope("manage-contacts"),
+  async (req, res) => {
+    try {
+      const suppression = await Suppression.findById(req.params.id);
+      if (!suppression)
+        return res
+          .status(404)
+          .json({ success: false, error: "Suppression not found" });
+      if (!checkSuppressionAccount(req, res, suppression.accountId)) return;
+      await suppression.deleteOne();
+      res.json({
+        success: true,
+        message: "Number removed from suppression list",
+      });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// Webhooks
+function validateWebhookInput({ url, events }) {
+  if (!url) return "URL required";
+  try {
+    const { protocol } = new URL(url);
+    if (protocol !== "http:" && protocol !== "https:")
+      return "URL must be http or https";
+  } catch {
+    return "Invalid URL";
+  }
+  if (events !== undefined) {
+    if (!Array.isArray(events)) return "Events must be an array";
+    const unknown = events.filter((e) => !WEBHOOK_EVENTS.includes(e));
+    if (unknown.length) return `Unknown events: ${unknown.join(", ")}`;
+  }
+  return null;
+}
+
+app.get("/api/webhooks", requireScope("manage-webhooks"), async (req, res) => {
+  try {
+    const webhooks = await Webhook.find(scopeToAccountLists(req, {}))
+      .select("-secret")
+      .sort({ createdAt: -1 });
+    res.json({ success: true, webhooks, events: WEBHOOK_EVENTS });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// The secret is only returned here, when the webhook is created
+app.post("/api/webhooks", requireScope("manage-webhooks"), async (req, res) => {
+  const { url, events, accountIds = [], active } = req.body;
+  const error = validateWebhookInput(req.body);
+  if (error) return res.status(400).json({ success: false, error });
+  if (!checkAccountList(req, res, accountIds)) return;
+
+  try {
+    const webhook = await new Webhook({
+      url,
+      events,
+      accountIds,
+      active,
+      secret: req.body.secret || crypto.randomBytes(24).toString("hex"),
+    }).save();
+    res.json({ success: true, webhook });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.put(
+  "/api/webhooks/:id",
+  requireScope("manage-webhooks"),
+  async (req, res) => {
+    const { url, events, accountIds, active, secret } = req.body;
+    const error = validateWebhookInput(req.body);
+    if (error) return res.status(400).json({ success: false, error });
+    if (accountIds !== undefined && !checkAccountList(req, res, accountIds))
+      return;
+
+    const update = { url, updatedAt: new Date() };
+    if (events !== undefined) update.events = events;
+    if (accountIds !== undefined) update.accountIds = accountIds;
+    if (active !== undefined) update.active = Boolean(active);
+    if (secret) update.secret = secret;
+
+    try {
+      const webhook = await Webhook.findOneAndUpdate(
+        scopeToAccountLists(req, { _id: req.params.id }),
+        update,
+        { new: true }
+      ).select("-secret");
+      if (!webhook)
+        return res
+          .status(404)
+          .json({ success: false, error: "Webhook not found" });
+      res.json({ success: true, webhook });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+app.delete(
+  "/api/webhooks/:id",
+  requireScope("manage-webhooks"),
+  async (req, res) => {
+    try {
+      const deleted = await Webhook.findOneAndDelete(
+        scopeToAccountLists(req, { _id: req.params.id })
+      );
+      if (!deleted)
+        return res
+          .status(404)
+          .json({ success: false, error: "Webhook not found" });
+      res.json({ success: true, message: "Webhook deleted" });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+app.get(
+  "/api/webhooks/:id/deliveries",
+  requireScope("manage-webhooks"),
+  async (req, res) => {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || 50, 1),
+      500
+    );
+    const filter = { webhookId: req.params.id };
+    if (req.query.status) filter.status = req.query.status;
+
+    try {
+      const webhook = await Webhook.exists(
+        scopeToAccountLists(req, { _id: req.params.id })
+      );
+      if (!webhook)
+        return res
+          .status(404)
+          .json({ success: false, error: "Webhook not found" });
+      const [deliveries, total] = await Promise.all([
+        WebhookDelivery.find(filter)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        WebhookDelivery.countDocuments(filter),
+      ]);
+      res.json({ success: true, deliveries, total, page, limit });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// API keys
+app.get("/api/keys", requireScope("manage-keys"), async (req, res) => {
+  try {
+    const keys = await ApiKey.find(scopeToAccountLists(req, {}))
+      .select("-keyHash")
+      .sort({ createdAt: -1 });
+    res.json({ success: true, keys, scopes: API_SCOPES });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// The plain key is only returned here; afterwards only its hash is stored
+app.post("/api/keys", requireScope("manage-keys"), async (req, res) => {
+  const { name, scopes = [], accountIds = [] } = req.body;
+  if (!name)
+    return res.status(400).json({ success: false, error: "Name required" });
+  if (!Array.isArray(scopes) || scopes.length === 0)
+    return res
+      .status(400)
+      .json({ success: false, error: "At least one scope required" });
+  const unknown = scopes.filter((s) => !API_SCOPES.includes(s));
+  if (unknown.length)
+    return res
+      .status(400)
+      .json({ success: false, error: `Unknown scopes: ${unknown.join(", ")}` });
+  // A key can only hand out what its creator holds
+  const missing = scopes.filter((s) => !req.auth.scopes.includes(s));
+  if (missing.length)
+    return res.status(403).json({
+      success: false,
+      error: `Not allowed to grant: ${missing.join(", ")}`,
+    });
+  if (!checkAccountList(req, res, accountIds)) return;
+
+  try {
+    const key = `wak_${crypto.randomBytes(24).toString("hex")}`;
+    const apiKey = await new ApiKey({
+      name,
+      scopes,
+      accountIds,
+      keyHash: hashApiKey(key),
+      prefix: key.slice(0, 10),
+    }).save();
+    const { keyHash, ...saved } = apiKey.toObject();
+    res.json({ success: true, key, apiKey: saved });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.delete("/api/keys/:id", requireScope("manage-keys"), async (req, res) => {
+  try {
+    const revoked = await ApiKey.findOneAndUpdate(
+      scopeToAccountLists(req, { _id: req.params.id, revokedAt: null }),
+      { revokedAt: new Date() },
+      { new: true }
+    ).select("-keyHash");
+    if (!revoked)
+      return res
+        .status(404)
+        .json({ success: false, error: "API key not found" });
+    res.json({ success: true, message: "API key revoked", apiKey: revoked });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Dashboard users
+app.get(
+  "/api/users",
+  requireScope("manage-users"),
+  requireUnrestricted,
+  async (_req, res) => {
+    try {
+      const users = await User.find()
+        .select("-passwordHash")
+        .sort({ createdAt: -1 });
+      res.json({ success: true, users });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+app.post(
+  "/api/users",
+  requireScope("manage-users"),
+  requireUnrestricted,
+  async (req, res) => {
+    const { username, password, role } = req.body;
+    if (!username || !password)
+      return res
+        .status(400)
+        .json({ success: false, error: "Username and password required" });
+    if (role && !ROLE_SCOPES[role])
+      return res.status(400).json({ success: false, error: "Invalid role" });
+    if (String(password).length < 8)
+      return res.status(400).json({
+        success: false,
+        error: "Password must be at least 8 characters",
+      });
+
+    try {
+      if (await User.findOne({ username }))
+        return res
+          .status(400)
+          .json({ success: false, error: "Username already exists" });
+      const user = await User.create({
+        username,
+        role,
+        passwordHash: hashPassword(String(password)),
+      });
+      res.json({
+        success: true,
+        user: { _id: user._id, username: user.username, role: user.role },
+      });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// True when `id` is the only admin left, so demoting or deleting it would
+// lock everyone out of user management
+async function isLastAdmin(id) {
+  const user = await User.findById(id);
+  if (user?.role !== "admin") return false;
+  return (await User.countDocuments({ role: "admin" })) <= 1;
+}
+
+app.put(
+  "/api/users/:id",
+  requireScope("manage-users"),
+  requireUnrestricted,
+  async (req, res) => {
+    const { role, password } = req.body;
+    const update = {};
+    if (role) {
+      if (!ROLE_SCOPES[role])
+        return res.status(400).json({ success: false, error: "Invalid role" });
+      update.role = role;
+    }
+    if (password) {
+      if (String(password).length < 8)
+        return res.status(400).json({
+          success: false,
+          error: "Password must be at least 8 characters",
+        });
+      update.passwordHash = hashPassword(String(password));
+    }
+
+    try {
+      if (
+        update.role &&
+        update.role !== "admin" &&
+        (await isLastAdmin(req.params.id))
+      )
+        return res
+          .status(400)
+          .json({ success: false, error: "Cannot demote the last admin" });
+      const user = await User.findByIdAndUpdate(req.params.id, update, {
+        new: true,
+      }).select("-passwordHash");
+      if (!user)
+        return res
+          .status(404)
+          .json({ success: false, error: "User not found" });
+      res.json({ success: true, user });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+app.delete(
+  "/api/users/:id",
+  requireScope("manage-users"),
+  requireUnrestricted,
+  async (req, res) => {
+    if (req.user && String(req.user._id) === req.params.id)
+      return res
+        .status(400)
+        .json({ success: false, error: "You cannot delete yourself" });
+
+    try {
+      if (await isLastAdmin(req.params.id))
+        return res
+          .status(400)
+          .json({ success: false, error: "Cannot delete the last admin" });
+      const deleted = await User.findByIdAndDelete(req.params.id);
+      if (!deleted)
+        return res
+          .status(404)
+          .json({ success: false, error: "User not found" });
+      res.json({ success: true, message: "User deleted" });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
 
-// Serve frontend
+// Serve frontend, behind the same login as "/"
 app.get("*", (req, res) => {
+  if (!req.session.userId) return res.redirect("/login.html");
   res.sendFile(path.join(__dirname, "public", "index.html"));
 });
 
@@ -476,7 +5212,15 @@ app.use((err, req, res, next) => {
 });
 
 // Initialize default client on startup
-initializeWhatsAppClient("default");
+startDefaultAccount();
+restoreSessions();
+ensureAdminUser();
+migrateContactPhones();
+resumeCampaigns();
+requeueScheduledMessages();
+setInterval(processWebhookDeliveries, WEBHOOK_POLL_MS);
+setInterval(runScheduler, SCHEDULER_POLL_MS);
+setInterval(probeClients, HEALTH_PROBE_MS);
 
 // Start server
 app.listen(PORT, () => {
@@ -0,0 +1,95 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { normalizePhone, isGroupId, toChatId } = require("../utils/phone");
+
+test("normalizes national numbers for the given country", () => {
+  assert.deepStrictEqual(normalizePhone("98765 43210", "IN"), {
+    valid: true,
+    phone: "919876543210",
+    e164: "+919876543210",
+    country: "IN",
+  });
+  assert.strictEqual(
+    normalizePhone("(202) 555-0123", "US").phone,
+    "12025550123"
+  );
+  assert.strictEqual(
+    normalizePhone("015123456789", "DE").phone,
+    "4915123456789"
+  );
+});
+
+test("reads + and 00 prefixes as international", () => {
+  assert.strictEqual(
+    normalizePhone("+1 202 555 0123", "IN").phone,
+    "12025550123"
+  );
+  assert.strictEqual(
+    normalizePhone("0044 7911 123456", "IN").phone,
+    "447911123456"
+  );
+});
+
+test("reads digits as a national number before trying international", () => {
+  for (const [input, country, e164] of [
+    ["(201) 555-0123", "US", "+12015550123"],
+    ["15123456789", "DE", "+4915123456789"],
+    ["13123456789", "CN", "+8613123456789"],
+    ["7911123456", "GB", "+447911123456"],
+  ])
+    assert.strictEqual(normalizePhone(input, country).e164, e164, input);
+  // Not a valid Indian number, so the digits are taken as international
+  assert.strictEqual(
+    normalizePhone("919876543210", "IN").e164,
+    "+919876543210"
+  );
+});
+
+test("returns the same number when given its e164 again", () => {
+  for (const [input, country] of [
+    ["9876543210", "IN"],
+    ["015123456789", "DE"],
+    ["(201) 555-0123", "US"],
+    ["13123456789", "CN"],
+  ]) {
+    const { e164 } = normalizePhone(input, country);
+    for (const again of ["IN", "US", "DE", "CN", "GB"])
+      assert.strictEqual(normalizePhone(e164, again).e164, e164);
+  }
+});
+
+test("rejects empty, non-numeric and wrong-length input", () => {
+  assert.strictEqual(normalizePhone("").valid, false);
+  assert.strictEqual(normalizePhone(null).valid, false);
+  assert.deepStrictEqual(normalizePhone("call me", "IN"), {
+    valid: false,
+    reason: "Not a phone number",
+  });
+  assert.strictEqual(normalizePhone("12", "IN").valid, false);
+  assert.strictEqual(
+    normalizePhone("+91 98765 43210 12345", "IN").valid,
+    false
+  );
+});
+
+test("falls back to DEFAULT_COUNTRY for national numbers", () => {
+  const previous = process.env.DEFAULT_COUNTRY;
+  process.env.DEFAULT_COUNTRY = "us";
+  try {
+    assert.strictEqual(normalizePhone("2025550123").phone, "12025550123");
+  } finally {
+    if (previous === undefined) delete process.env.DEFAULT_COUNTRY;
+    else process.env.DEFAULT_COUNTRY = previous;
+  }
+});
+
+test("recognizes group ids and builds chat ids", () => {
+  assert.strictEqual(isGroupId("120363012345678901@g.us"), true);
+  assert.strictEqual(isGroupId("919876543210-1600000000@g.us"), true);
+  assert.strictEqual(isGroupId("919876543210@c.us"), false);
+  assert.strictEqual(toChatId("919876543210"), "919876543210@c.us");
+  assert.strictEqual(
+    toChatId(" 120363012345678901@g.us "),
+    "120363012345678901@g.us"
+  );
+});
@@ -0,0 +1,104 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  readSheet,
+  detectPhoneColumn,
+  mapRecipients,
+} = require("../utils/recipients");
+const { normalizePhone } = require("../utils/phone");
+
+const csv = (text) => readSheet(Buffer.from(text));
+
+test("reads CSV cells as text so + and leading zeros survive", () => {
+  const { columns, rows } = csv(
+    "Name,Mobile\nAsha,+919876543210\nRavi,09876543211\n"
+  );
+  assert.deepStrictEqual(columns, ["Name", "Mobile"]);
+  assert.strictEqual(rows[0].Mobile, "+919876543210");
+  assert.strictEqual(rows[1].Mobile, "09876543211");
+});
+
+test("detects the phone column by header, then by content", () => {
+  assert.strictEqual(
+    detectPhoneColumn(["Name", "WhatsApp"], [], "IN"),
+    "WhatsApp"
+  );
+  const { columns, rows } = csv(
+    "Name,Contact\nAsha,9876543210\nRavi,9876543211\n"
+  );
+  assert.strictEqual(detectPhoneColumn(columns, rows, "IN"), "Contact");
+  assert.strictEqual(
+    detectPhoneColumn(["Name"], [{ Name: "Asha" }], "IN"),
+    null
+  );
+});
+
+test("maps rows to recipients with an E.164 phone listed first", () => {
+  const { rows } = csv(
+    "Order Number,Name,Mobile\n12345,Asha,98765 43210\n67890,Ravi,+1 202 555 0123\n"
+  );
+  const { recipients, invalid, duplicates } = mapRecipients(rows, {
+    phoneColumn: "Mobile",
+    country: "IN",
+  });
+  assert.deepStrictEqual(invalid, []);
+  assert.deepStrictEqual(duplicates, []);
+  assert.deepStrictEqual(recipients[0], {
+    phone: "+919876543210",
+    "Order Number": "12345",
+    Name: "Asha",
+  });
+  assert.strictEqual(Object.keys(recipients[1])[0], "phone");
+  assert.strictEqual(recipients[1].phone, "+12025550123");
+});
+
+test("recipient phones survive being normalized again for any country", () => {
+  const { rows } = csv("Mobile\n+12025550123\n+4915123456789\n");
+  const { recipients } = mapRecipients(rows, {
+    phoneColumn: "Mobile",
+    country: "IN",
+  });
+  for (const { phone } of recipients)
+    for (const country of ["IN", "DE", "US"])
+      assert.strictEqual(normalizePhone(phone, country).e164, phone);
+});
+
+test("maps only the requested variables", () => {
+  const { rows } = csv("Mobile,First,Last\n9876543210,Asha,Rao\n");
+  const { recipients } = mapRecipients(rows, {
+    phoneColumn: "Mobile",
+    variables: { name: "First", city: "City" },
+    country: "IN",
+  });
+  assert.deepStrictEqual(recipients, [
+    { phone: "+919876543210", name: "Asha", city: "" },
+  ]);
+});
+
+test("reports invalid and duplicate rows with spreadsheet row numbers", () => {
+  const { rows } = csv(
+    "Mobile\n9876543210\nabc\n+91 98765 43210\n120363012345678901@g.us\n"
+  );
+  const { recipients, invalid, duplicates } = mapRecipients(rows, {
+    phoneColumn: "Mobile",
+    country: "IN",
+  });
+  assert.deepStrictEqual(
+    recipients.map((r) => r.phone),
+    ["+919876543210", "120363012345678901@g.us"]
+  );
+  assert.deepStrictEqual(
+    invalid.map((i) => i.row),
+    [3]
+  );
+  assert.deepStrictEqual(duplicates, [
+    { row: 4, phone: "919876543210", firstRow: 2 },
+  ]);
+
+  const all = mapRecipients(rows, {
+    phoneColumn: "Mobile",
+    country: "IN",
+    dedupe: false,
+  });
+  assert.strictEqual(all.recipients.length, 3);
+});
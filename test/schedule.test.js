@@ -0,0 +1,102 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  isValidTimeZone,
+  parseScheduledAt,
+  startOfDay,
+  validateSendWindow,
+  nextSendTime,
+} = require("../utils/schedule");
+
+const iso = (date) => date && date.toISOString();
+
+test("reads local date-times in the given time zone", () => {
+  assert.strictEqual(
+    iso(parseScheduledAt("2026-05-01T09:30", "Asia/Kolkata")),
+    "2026-05-01T04:00:00.000Z"
+  );
+  assert.strictEqual(
+    iso(parseScheduledAt("2026-05-01", "UTC")),
+    "2026-05-01T00:00:00.000Z"
+  );
+  // New York is on daylight time in July and standard time in January
+  assert.strictEqual(
+    iso(parseScheduledAt("2026-07-01 12:00", "America/New_York")),
+    "2026-07-01T16:00:00.000Z"
+  );
+  assert.strictEqual(
+    iso(parseScheduledAt("2026-01-01 12:00", "America/New_York")),
+    "2026-01-01T17:00:00.000Z"
+  );
+});
+
+test("keeps explicit offsets, dates and timestamps as they are", () => {
+  assert.strictEqual(
+    iso(parseScheduledAt("2026-05-01T10:00:00+05:30", "UTC")),
+    "2026-05-01T04:30:00.000Z"
+  );
+  assert.strictEqual(
+    iso(parseScheduledAt("2026-05-01T10:00:00Z", "Asia/Kolkata")),
+    "2026-05-01T10:00:00.000Z"
+  );
+  assert.strictEqual(iso(parseScheduledAt(0)), "1970-01-01T00:00:00.000Z");
+});
+
+test("rejects dates and times that do not exist", () => {
+  for (const text of [
+    "2026-13-45",
+    "2026-02-30",
+    "2025-02-29",
+    "2026-04-31T10:00",
+    "2026-05-01T24:00",
+    "2026-05-01T10:60",
+    "2026-02-30T00:00Z",
+    "2026-13-01T00:00:00+05:30",
+    "tomorrow",
+    "",
+  ])
+    assert.strictEqual(parseScheduledAt(text, "UTC"), null, text);
+  assert.notStrictEqual(parseScheduledAt("2024-02-29", "UTC"), null);
+});
+
+test("finds midnight in the given time zone", () => {
+  assert.strictEqual(
+    iso(startOfDay(new Date("2026-05-01T20:00:00Z"), "Asia/Kolkata")),
+    "2026-05-01T18:30:00.000Z"
+  );
+});
+
+test("validates send windows and time zones", () => {
+  assert.strictEqual(
+    validateSendWindow({ start: "09:00", end: "20:00" }),
+    null
+  );
+  assert.strictEqual(
+    validateSendWindow({ start: "22:00", end: "06:00" }),
+    null
+  );
+  assert.match(validateSendWindow(null), /object/);
+  assert.match(validateSendWindow({ start: "9am", end: "20:00" }), /HH:MM/);
+  assert.match(validateSendWindow({ start: "09:00", end: "09:00" }), /differ/);
+  assert.match(
+    validateSendWindow({ start: "09:00", end: "20:00", timezone: "Mars/Base" }),
+    /Unknown time zone/
+  );
+  assert.strictEqual(isValidTimeZone("Europe/Berlin"), true);
+  assert.strictEqual(isValidTimeZone(""), false);
+});
+
+test("waits for the recipient's window to open", () => {
+  const window = { start: "09:00", end: "20:00" };
+  const night = new Date("2026-05-01T20:00:00Z"); // 01:30 in India
+  assert.strictEqual(
+    iso(nextSendTime(night, window, "919876543210")),
+    "2026-05-02T03:30:00.000Z"
+  );
+  const day = new Date("2026-05-01T06:00:00Z");
+  assert.strictEqual(nextSendTime(day, window, "919876543210"), day);
+  assert.strictEqual(
+    iso(nextSendTime(day, { ...window, timezone: "UTC" }, "919876543210")),
+    "2026-05-01T09:00:00.000Z"
+  );
+});
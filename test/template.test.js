@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  compileTemplate,
+  renderTemplate,
+  templateVariables,
+} = require("../utils/template");
+
+const render = (source, variables) =>
+  renderTemplate(source, variables, { locale: "en" });
+
+test("substitutes variables case-insensitively", () => {
+  assert.deepStrictEqual(render("Hi {{name}}", { Name: "Asha" }), {
+    text: "Hi Asha",
+    missing: [],
+  });
+  assert.strictEqual(render("{{ city }}", { " CITY ": "Pune" }).text, "Pune");
+});
+
+test("applies defaults and formatters in order", () => {
+  assert.strictEqual(render("{{name|Customer}}", {}).text, "Customer");
+  assert.strictEqual(render("{{name|upper}}", { name: "asha" }).text, "ASHA");
+  assert.strictEqual(render('{{name|"upper"}}', {}).text, "upper");
+  assert.strictEqual(
+    render("{{name|there|capitalize}}", { name: "" }).text,
+    "There"
+  );
+  assert.strictEqual(
+    render("{{n|number:2}}", { n: "1,234.5" }).text,
+    "1,234.50"
+  );
+  assert.strictEqual(render("{{n|currency:usd}}", { n: 5 }).text, "$5.00");
+  assert.strictEqual(
+    render("{{d|date:DD/MM/YYYY}}", { d: "2024-05-01" }).text,
+    "01/05/2024"
+  );
+});
+
+test("reports variables with no value and no default", () => {
+  assert.deepStrictEqual(render("{{a}} {{b|x}} {{a}}", {}), {
+    text: " x ",
+    missing: ["a"],
+  });
+});
+
+test("renders if/unless/else blocks", () => {
+  const source = "{{#if vip}}Gold{{else}}Standard{{/if}}";
+  assert.strictEqual(render(source, { vip: "yes" }).text, "Gold");
+  assert.strictEqual(render(source, { vip: "no" }).text, "Standard");
+  assert.strictEqual(render("{{#unless paid}}Pay{{/unless}}", {}).text, "Pay");
+});
+
+test("ignores inherited properties", () => {
+  assert.deepStrictEqual(render("{{constructor}}{{toString}}", {}), {
+    text: "",
+    missing: ["constructor", "toString"],
+  });
+  assert.strictEqual(render("{{#if constructor}}x{{/if}}", {}).text, "");
+});
+
+test("rejects malformed templates at compile time", () => {
+  assert.throws(() => compileTemplate("{{#if a}}x"), /Unclosed/);
+  assert.throws(() => compileTemplate("x{{/if}}"), /Unexpected/);
+  assert.throws(() => compileTemplate("{{else}}"), /Unexpected/);
+  assert.throws(() => compileTemplate("{{n|currency:XYZW}}"), /currency/);
+  for (const arg of ["abc", "50", "-1", "1.5", ""])
+    assert.throws(
+      () => compileTemplate(`{{n|number:${arg}}}`),
+      /Decimals/,
+      arg
+    );
+  assert.doesNotThrow(() => compileTemplate("{{n|number:0}}{{n|number:20}}"));
+});
+
+test("lists referenced variables in order", () => {
+  assert.deepStrictEqual(
+    templateVariables("{{#if vip}}{{name}}{{/if}} {{code}} {{name}}"),
+    ["vip", "name", "code"]
+  );
+});
@@ -0,0 +1,102 @@
+const {
+  parsePhoneNumberFromString,
+  validatePhoneNumberLength,
+  isSupportedCountry,
+} = require("libphonenumber-js");
+
+const FALLBACK_COUNTRY = "IN";
+// Group chat ids: "<creator>-<timestamp>@g.us" for older groups, digits only
+// for newer ones
+const GROUP_ID_PATTERN = /^\d+(-\d+)?@g\.us$/;
+
+const LENGTH_REASONS = {
+  NOT_A_NUMBER: "Not a phone number",
+  INVALID_COUNTRY: "Unknown or missing country code",
+  TOO_SHORT: "Number is too short",
+  TOO_LONG: "Number is too long",
+  INVALID_LENGTH: "Number has an invalid length",
+};
+
+function isValidCountry(country) {
+  return (
+    typeof country === "string" && isSupportedCountry(country.toUpperCase())
+  );
+}
+
+function defaultCountry() {
+  const country = process.env.DEFAULT_COUNTRY;
+  return isValidCountry(country) ? country.toUpperCase() : FALLBACK_COUNTRY;
+}
+
+function parse(text, country) {
+  const parsed = parsePhoneNumberFromString(text, country);
+  return parsed && parsed.isValid() ? parsed : null;
+}
+
+/**
+ * Normalize a phone number to E.164.
+ *
+ * Numbers written with "+" or "00" are read as international. Anything else
+ * is read as a national number of `country` first and, failing that, as an
+ * international number missing its "+" (e.g. "919876543210"). Digits alone
+ * can be a valid number in two countries, so to normalize a number again
+ * pass its `e164`, not its `phone`.
+ *
+ * Returns { valid: true, phone, e164, country } where `phone` is the E.164
+ * number without "+", ready for a WhatsApp chat id, or
+ * { valid: false, reason } explaining why the number was rejected.
+ */
+function normalizePhone(input, country = defaultCountry()) {
+  const raw = input == null ? "" : String(input).trim();
+  if (!raw) return { valid: false, reason: "Phone number is empty" };
+  if (/[a-z]/i.test(raw))
+    return { valid: false, reason: LENGTH_REASONS.NOT_A_NUMBER };
+
+  const region = isValidCountry(country) ? country.toUpperCase() : undefined;
+  const digits = raw.replace(/\D/g, "");
+  let text = raw;
+  if (raw.startsWith("00")) text = `+${digits.slice(2)}`;
+  const international = text.startsWith("+");
+
+  let parsed = international ? parse(text) : parse(text, region);
+  if (!parsed && !international) parsed = parse(`+${digits}`);
+
+  if (parsed) {
+    return {
+      valid: true,
+      phone: parsed.number.slice(1),
+      e164: parsed.number,
+      country: parsed.country,
+    };
+  }
+
+  const lengthError = international
+    ? validatePhoneNumberLength(text)
+    : validatePhoneNumberLength(text, region);
+  if (lengthError)
+    return { valid: false, reason: LENGTH_REASONS[lengthError] || lengthError };
+  return {
+    valid: false,
+    reason: international
+      ? "Not a valid phone number"
+      : `Not a valid phone number for ${region || "the default country"}`,
+  };
+}
+
+function isGroupId(value) {
+  return typeof value === "string" && GROUP_ID_PATTERN.test(value.trim());
+}
+
+// WhatsApp chat id for a recipient: group ids are used as they are, phone
+// numbers become "<phone>@c.us"
+function toChatId(recipient) {
+  return isGroupId(recipient) ? recipient.trim() : `${recipient}@c.us`;
+}
+
+module.exports = {
+  normalizePhone,
+  isValidCountry,
+  defaultCountry,
+  isGroupId,
+  toChatId,
+};
@@ -0,0 +1,113 @@
+const XLSX = require("xlsx");
+const { normalizePhone, isGroupId } = require("./phone");
+
+const PHONE_HEADER = /phone|mobile|number|whatsapp|msisdn|cell/i;
+const SAMPLE_SIZE = 5;
+
+// Reads the first sheet of an XLSX/XLS/CSV buffer into header names and row
+// objects. CSV cells are kept as text so leading "+" and zeros survive.
+function readSheet(buffer) {
+  const workbook = XLSX.read(buffer, {
+    type: "buffer",
+    raw: true,
+    cellDates: true,
+  });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) return { columns: [], rows: [] };
+
+  const [header = []] = XLSX.utils.sheet_to_json(sheet, {
+    header: 1,
+    blankrows: false,
+  });
+  const columns = header.map((c) => String(c ?? "").trim()).filter(Boolean);
+  const rows = XLSX.utils.sheet_to_json(sheet, { defval: "" });
+  return { columns, rows };
+}
+
+// Prefers a phone-like header; otherwise the column whose sample values
+// mostly parse as phone numbers.
+function detectPhoneColumn(columns, rows, country) {
+  const named = columns.find((c) => PHONE_HEADER.test(c));
+  if (named) return named;
+
+  const sample = rows.slice(0, 20);
+  let best = null;
+  let bestScore = 0;
+  for (const column of columns) {
+    const score = sample.filter(
+      (row) => normalizePhone(row[column], country).valid
+    ).length;
+    if (score > bestScore) {
+      best = column;
+      bestScore = score;
+    }
+  }
+  return bestScore >= Math.ceil(sample.length / 2) ? best : null;
+}
+
+// Turns sheet rows into campaign recipients: { phone, ...variables }, with
+// `phone` in E.164 ("+" included, so normalizing it again for any country
+// gives the same number) and listed first. `variables` maps template variable
+// names to columns; when omitted every column is passed through under its own
+// name. Rows are numbered as in the spreadsheet (header is row 1).
+function mapRecipients(
+  rows,
+  { phoneColumn, variables, country, dedupe = true }
+) {
+  const recipients = [];
+  const invalid = [];
+  const duplicates = [];
+  const seen = new Map();
+
+  rows.forEach((row, i) => {
+    const rowNumber = i + 2;
+    const value = row[phoneColumn];
+    if (value === "" || value == null) {
+      invalid.push({ row: rowNumber, value: "", reason: "No phone number" });
+      return;
+    }
+
+    // Group ids pass through so a sheet can target groups too
+    const normalized = isGroupId(value)
+      ? { valid: true, phone: value.trim() }
+      : normalizePhone(value, country);
+    if (!normalized.valid) {
+      invalid.push({
+        row: rowNumber,
+        value: String(value),
+        reason: normalized.reason,
+      });
+      return;
+    }
+
+    if (dedupe && seen.has(normalized.phone)) {
+      duplicates.push({
+        row: rowNumber,
+        phone: normalized.phone,
+        firstRow: seen.get(normalized.phone),
+      });
+      return;
+    }
+    seen.set(normalized.phone, rowNumber);
+
+    const recipient = { phone: normalized.e164 || normalized.phone };
+    if (variables) {
+      for (const [name, column] of Object.entries(variables))
+        if (name !== "phone") recipient[name] = row[column] ?? "";
+    } else {
+      for (const [column, cell] of Object.entries(row))
+        if (column !== phoneColumn && column !== "phone")
+          recipient[column] = cell;
+    }
+    recipients.push(recipient);
+  });
+
+  return { recipients, invalid, duplicates };
+}
+
+module.exports = {
+  SAMPLE_SIZE,
+  readSheet,
+  detectPhoneColumn,
+  mapRecipients,
+};
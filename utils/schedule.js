@@ -0,0 +1,170 @@
+const ct = require("countries-and-timezones");
+const { parsePhoneNumberFromString } = require("libphonenumber-js");
+
+const FALLBACK_TIME_ZONE = "UTC";
+const WINDOW_STEP_MS = 5 * 60 * 1000;
+const WINDOW_SEARCH_MS = 2 * 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+function formatter(timeZone) {
+  if (!formatters.has(timeZone))
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  return formatters.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || !timeZone) return false;
+  try {
+    formatter(timeZone);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function defaultTimeZone() {
+  const timeZone = process.env.DEFAULT_TIMEZONE;
+  return isValidTimeZone(timeZone) ? timeZone : FALLBACK_TIME_ZONE;
+}
+
+// Wall-clock fields of `date` as seen in `timeZone`
+function localParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of formatter(timeZone).formatToParts(date))
+    parts[type] = Number(value);
+  return parts;
+}
+
+function offsetMs(date, timeZone) {
+  const p = localParts(date, timeZone);
+  const wall = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wall - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Date.UTC rolls "2026-13-45" over into 2027 instead of failing, so a date
+// only counts when its fields come back unchanged
+function isCalendarDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return (
+    date.getUTCFullYear() === year &&
+    date.getUTCMonth() === month - 1 &&
+    date.getUTCDate() === day
+  );
+}
+
+// Accepts an ISO string with "Z" or an offset, or a local date-time such as
+// "2024-05-01T09:30" that is read in `timeZone`. Returns null when unparseable
+// or when the date or time does not exist (2024-02-30, 25:00).
+function parseScheduledAt(value, timeZone = defaultTimeZone()) {
+  if (value instanceof Date || typeof value === "number") {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+  const text = String(value || "").trim();
+  if (/(Z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+    const day = /^(\d{4})-(\d{2})-(\d{2})/.exec(text);
+    if (day && !isCalendarDate(...day.slice(1).map(Number))) return null;
+    const date = new Date(text);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  const m =
+    /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(text);
+  if (!m) return null;
+  const [y, mo, d, h, mi, s] = m.slice(1).map((n) => Number(n || 0));
+  if (!isCalendarDate(y, mo, d) || h > 23 || mi > 59 || s > 59) return null;
+  const wall = Date.UTC(y, mo - 1, d, h, mi, s);
+  // Second pass corrects the offset when the guess lands across a DST change
+  let utc = wall - offsetMs(new Date(wall), timeZone);
+  utc = wall - offsetMs(new Date(utc), timeZone);
+  return new Date(utc);
+}
+
+// Midnight of the day `date` falls on, as seen in `timeZone`
+function startOfDay(date = new Date(), timeZone = defaultTimeZone()) {
+  const p = localParts(date, timeZone);
+  const day = [p.year, p.month, p.day]
+    .map((n) => String(n).padStart(2, "0"))
+    .join("-");
+  return parseScheduledAt(day, timeZone);
+}
+
+function parseClock(text) {
+  const m = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(text || "").trim());
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+}
+
+// Checks a { start: "09:00", end: "20:00", timezone? } window; returns an
+// error message or null. A window may wrap past midnight (22:00-06:00).
+function validateSendWindow(window) {
+  if (!window || typeof window !== "object")
+    return "Send window must be an object";
+  const start = parseClock(window.start);
+  const end = parseClock(window.end);
+  if (start === null || end === null)
+    return "Send window start and end must be HH:MM";
+  if (start === end) return "Send window start and end must differ";
+  if (window.timezone && !isValidTimeZone(window.timezone))
+    return `Unknown time zone ${window.timezone}`;
+  return null;
+}
+
+// Time zones of the country a phone number belongs to
+function phoneTimeZones(phone) {
+  const parsed = parsePhoneNumberFromString(`+${phone}`);
+  const country = parsed && parsed.country && ct.getCountry(parsed.country);
+  return country ? country.timezones : [];
+}
+
+function inWindow(date, start, end, timeZone) {
+  const p = localParts(date, timeZone);
+  const minutes = p.hour * 60 + p.minute;
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+// Earliest time at or after `from` when the window is open for the
+// recipient. The window's own timezone wins; otherwise every zone of the
+// recipient's country must be inside it, so a US number is never messaged at
+// night on either coast. Countries too wide for that fall back to their first
+// zone, and numbers without a known country use `fallbackZone`.
+function nextSendTime(from, window, phone, fallbackZone = defaultTimeZone()) {
+  const start = parseClock(window.start);
+  const end = parseClock(window.end);
+  let zones = window.timezone ? [window.timezone] : phoneTimeZones(phone);
+  if (zones.length === 0) zones = [fallbackZone];
+
+  const search = (candidates) => {
+    if (candidates.every((z) => inWindow(from, start, end, z))) return from;
+    let t = Math.ceil(from.getTime() / WINDOW_STEP_MS) * WINDOW_STEP_MS;
+    for (const limit = t + WINDOW_SEARCH_MS; t < limit; t += WINDOW_STEP_MS) {
+      const date = new Date(t);
+      if (candidates.every((z) => inWindow(date, start, end, z))) return date;
+    }
+    return null;
+  };
+  return search(zones) || search([zones[0]]) || from;
+}
+
+module.exports = {
+  isValidTimeZone,
+  defaultTimeZone,
+  parseScheduledAt,
+  startOfDay,
+  validateSendWindow,
+  nextSendTime,
+};
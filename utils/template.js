@@ -0,0 +1,290 @@
+// Message template engine shared by single sends, campaigns and previews.
+//
+//   {{name}}                    plain substitution
+//   {{name|Customer}}           default when the value is missing or empty
+//   {{name|upper}}              formatter (upper, lower, capitalize, trim,
+//                               number[:decimals], currency[:CODE],
+//                               date[:FORMAT])
+//   {{#if name}}..{{else}}..{{/if}}   conditional (also {{#unless name}})
+//
+// Rendering reports the variables that had no value and no default so callers
+// can reject the row (strict mode) instead of sending a half-filled message.
+
+const FALLBACK_LOCALE = "en";
+const FALLBACK_CURRENCY = "INR";
+
+const TAG_PATTERN = /\{\{\s*([\s\S]*?)\s*\}\}/g;
+
+function defaultLocale() {
+  return process.env.DEFAULT_LOCALE || FALLBACK_LOCALE;
+}
+
+function defaultCurrency() {
+  return (process.env.DEFAULT_CURRENCY || FALLBACK_CURRENCY).toUpperCase();
+}
+
+function isEmpty(value) {
+  return value == null || String(value).trim() === "";
+}
+
+function toNumber(value) {
+  if (typeof value === "number") return value;
+  const n = Number(String(value).replace(/[,\s]/g, ""));
+  return Number.isFinite(n) ? n : null;
+}
+
+// Spreadsheet date cells arrive as Excel serial day numbers, everything else
+// as timestamps or date strings. Dates are treated as UTC so a plain
+// "2024-05-01" never shifts a day in formatting.
+function toDate(value) {
+  if (value instanceof Date) return value;
+  const n = typeof value === "string" && value.trim() ? Number(value) : value;
+  let date;
+  if (typeof n === "number" && Number.isFinite(n))
+    date = new Date(n < 1e6 ? Math.round((n - 25569) * 86400000) : n);
+  else date = new Date(String(value));
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+const pad = (n) => String(n).padStart(2, "0");
+
+const DATE_TOKENS = {
+  YYYY: (d) => String(d.getUTCFullYear()),
+  YY: (d) => String(d.getUTCFullYear()).slice(-2),
+  MM: (d) => pad(d.getUTCMonth() + 1),
+  DD: (d) => pad(d.getUTCDate()),
+  HH: (d) => pad(d.getUTCHours()),
+  mm: (d) => pad(d.getUTCMinutes()),
+  ss: (d) => pad(d.getUTCSeconds()),
+};
+
+function formatDate(date, format, locale) {
+  if (!format)
+    return date.toLocaleDateString(locale, {
+      timeZone: "UTC",
+      dateStyle: "medium",
+    });
+  return format.replace(/YYYY|YY|MM|DD|HH|mm|ss/g, (t) => DATE_TOKENS[t](date));
+}
+
+const FILTERS = {
+  upper: (value) => String(value).toUpperCase(),
+  lower: (value) => String(value).toLowerCase(),
+  capitalize: (value) =>
+    String(value)
+      .toLowerCase()
+      .replace(/(^|\s)\S/g, (c) => c.toUpperCase()),
+  trim: (value) => String(value).trim(),
+  number: (value, arg, locale) => {
+    const n = toNumber(value);
+    if (n == null) return value;
+    const digits = arg == null ? undefined : Number(arg);
+    return new Intl.NumberFormat(locale, {
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits,
+    }).format(n);
+  },
+  currency: (value, arg, locale) => {
+    const n = toNumber(value);
+    if (n == null) return value;
+    return new Intl.NumberFormat(locale, {
+      style: "currency",
+      currency: (arg || defaultCurrency()).toUpperCase(),
+    }).format(n);
+  },
+  date: (value, arg, locale) => {
+    const date = toDate(value);
+    return date ? formatDate(date, arg, locale) : value;
+  },
+};
+FILTERS.uppercase = FILTERS.upper;
+FILTERS.lowercase = FILTERS.lower;
+
+function unquote(text) {
+  const m = /^(["'])([\s\S]*)\1$/.exec(text);
+  return m ? m[2] : text;
+}
+
+// "name|Customer|upper" -> { name, steps: [{ default }, { filter, arg }] }.
+// A segment is a formatter when its first word names one, otherwise it is the
+// default value; quote it ("upper") to use a formatter name as a default.
+function parseExpression(expr) {
+  const [name, ...segments] = expr.split("|").map((s) => s.trim());
+  if (!name) throw new Error(`Missing variable name in {{${expr}}}`);
+
+  const steps = segments.map((segment) => {
+    const colon = segment.indexOf(":");
+    const filter = (colon < 0 ? segment : segment.slice(0, colon)).trim();
+    const fn = FILTERS[filter.toLowerCase()];
+    if (!fn || /^["']/.test(segment)) return { default: unquote(segment) };
+
+    const arg =
+      colon < 0 ? undefined : unquote(segment.slice(colon + 1).trim());
+    if (filter.toLowerCase() === "number" && arg !== undefined) {
+      if (!/^\d+$/.test(arg) || Number(arg) > 20)
+        throw new Error(
+          `Decimals must be a whole number from 0 to 20 in {{${expr}}}`
+        );
+    }
+    if (filter.toLowerCase() === "currency" && arg) {
+      try {
+        new Intl.NumberFormat(FALLBACK_LOCALE, {
+          style: "currency",
+          currency: arg,
+        });
+      } catch (err) {
+        throw new Error(`Unknown currency "${arg}" in {{${expr}}}`);
+      }
+    }
+    return { filter: filter.toLowerCase(), arg };
+  });
+  return { name, steps };
+}
+
+// Builds a tree of text, variable and if/unless nodes.
+function parse(source) {
+  const root = { children: [] };
+  const stack = [root];
+  const outer = [];
+  let current = root.children;
+  let last = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(source)) !== null) {
+    if (match.index > last)
+      current.push({ text: source.slice(last, match.index) });
+    last = TAG_PATTERN.lastIndex;
+
+    const tag = match[1];
+    const open = /^#(if|unless)\s+(.+)$/.exec(tag);
+    const close = /^\/(if|unless)$/.exec(tag);
+
+    if (open) {
+      const block = {
+        block: open[1],
+        test: open[2].trim(),
+        then: [],
+        otherwise: [],
+      };
+      current.push(block);
+      outer.push(current);
+      stack.push(block);
+      current = block.then;
+    } else if (tag === "else") {
+      const block = stack[stack.length - 1];
+      if (block === root || current === block.otherwise)
+        throw new Error("Unexpected {{else}}");
+      current = block.otherwise;
+    } else if (close) {
+      const block = stack.pop();
+      if (block === root || block.block !== close[1])
+        throw new Error(`Unexpected {{/${close[1]}}}`);
+      current = outer.pop();
+    } else {
+      current.push({ variable: parseExpression(tag) });
+    }
+  }
+  if (stack.length > 1)
+    throw new Error(`Unclosed {{#${stack[stack.length - 1].block}}} block`);
+  if (last < source.length) current.push({ text: source.slice(last) });
+  return root.children;
+}
+
+// Own properties only, so {{constructor}} or {{toString}} never pick up
+// something from the prototype
+function lookup(variables, name) {
+  if (!variables || typeof variables !== "object") return undefined;
+  const own = (key) =>
+    Object.hasOwn(variables, key) ? variables[key] : undefined;
+  const direct =
+    own(name) ?? own(name.toLowerCase()) ?? own(name.toUpperCase());
+  if (direct !== undefined) return direct;
+  const wanted = name.toLowerCase();
+  const key = Object.keys(variables).find(
+    (k) => k.trim().toLowerCase() === wanted
+  );
+  return key === undefined ? undefined : variables[key];
+}
+
+function isTruthy(value) {
+  if (isEmpty(value)) return false;
+  return !/^(false|0|no)$/i.test(String(value).trim());
+}
+
+function evaluate(nodes, variables, locale, missing) {
+  let out = "";
+  for (const node of nodes) {
+    if (node.text !== undefined) {
+      out += node.text;
+    } else if (node.block) {
+      let pass = isTruthy(lookup(variables, node.test));
+      if (node.block === "unless") pass = !pass;
+      out += evaluate(
+        pass ? node.then : node.otherwise,
+        variables,
+        locale,
+        missing
+      );
+    } else {
+      const { name, steps } = node.variable;
+      let value = lookup(variables, name);
+      let defaulted = false;
+      for (const step of steps) {
+        if (step.default !== undefined) {
+          if (isEmpty(value)) {
+            value = step.default;
+            defaulted = true;
+          }
+        } else if (!isEmpty(value)) {
+          value = FILTERS[step.filter](value, step.arg, locale);
+        }
+      }
+      if (isEmpty(value) && !defaulted && !missing.includes(name))
+        missing.push(name);
+      out += value == null ? "" : String(value);
+    }
+  }
+  return out;
+}
+
+// Parses once; the returned render() can be called for every recipient row.
+// Throws on malformed templates (unbalanced blocks, unknown currency, bad
+// decimals).
+function compileTemplate(source) {
+  const nodes = parse(String(source || ""));
+  return {
+    render(variables = {}, { locale = defaultLocale() } = {}) {
+      const missing = [];
+      const text = evaluate(nodes, variables, locale, missing);
+      return { text, missing };
+    },
+  };
+}
+
+function renderTemplate(source, variables, options) {
+  return compileTemplate(source).render(variables, options);
+}
+
+// Variable names referenced anywhere in the template, in order of appearance
+function templateVariables(source) {
+  const names = [];
+  const add = (name) => {
+    if (name && !names.includes(name)) names.push(name);
+  };
+  const walk = (nodes) => {
+    for (const node of nodes) {
+      if (node.block) {
+        add(node.test);
+        walk(node.then);
+        walk(node.otherwise);
+      } else if (node.variable) {
+        add(node.variable.name);
+      }
+    }
+  };
+  walk(parse(String(source || "")));
+  return names;
+}
+
+module.exports = { compileTemplate, renderTemplate, templateVariables };